@@ -1,22 +1,22 @@
 #!/usr/bin/env node
 
 // Demo script to show toggle functionality
-const fs = require('fs');
+const { loadConfig } = require('./lib/config');
 
 console.log('🎨 Room 302 Generative Art Demo\n');
 
-// Read current settings
-const currentCode = fs.readFileSync('./generate.js', 'utf8');
-const constellationsEnabled = currentCode.includes('ENABLE_CONSTELLATIONS = true');
-const glitchEnabled = currentCode.includes('ENABLE_GLITCH_EFFECTS = true');
+// Read current settings from generator.config.yaml
+const profile = process.argv[2];
+const config = loadConfig({ profile });
 
-console.log('Current settings:');
-console.log(`🌌 Constellations: ${constellationsEnabled ? '✅ ENABLED' : '❌ DISABLED'}`);
-console.log(`🔧 Glitch Effects: ${glitchEnabled ? '✅ ENABLED' : '❌ DISABLED'}`);
+console.log(`Current settings (profile: ${config.PROFILE || 'built-in defaults'}):`);
+console.log(`🌌 Constellations: ${config.ENABLE_CONSTELLATIONS ? '✅ ENABLED' : '❌ DISABLED'}`);
+console.log(`🔧 Glitch Effects: ${config.ENABLE_GLITCH_EFFECTS ? '✅ ENABLED' : '❌ DISABLED'}`);
+console.log(`🧩 Crypto Puzzle: ${config.ENABLE_CRYPTO_PUZZLE ? '✅ ENABLED' : '❌ DISABLED'}`);
 
-console.log('\n🔧 To toggle features, edit generate.js:');
-console.log('   ENABLE_CONSTELLATIONS = true/false');
-console.log('   ENABLE_GLITCH_EFFECTS = true/false');
+console.log('\n🔧 To toggle features, edit generator.config.yaml or override per run:');
+console.log('   node generate.js --profile draft');
+console.log('   node generate.js --set constellations=false --set glitch_effects=false');
 
 console.log('\n🚀 Then run: node generate.js');
 console.log('\n✨ Each quote generates unique procedural patterns based on:');
@@ -28,6 +28,6 @@ console.log('   • Quote length → glitch intensity');
 console.log('\n🎯 Features are:');
 console.log('   • Non-destructive (original templates unchanged)');
 console.log('   • Modular (independent toggle switches)');
-console.log('   • Subtle (bottom region only, low opacity)');
+console.log('   • Subtle (anywhere clear of the text and branding, low opacity)');
 console.log('   • Deterministic (same quote = same pattern)');
-console.log('   • Performance-optimized (minimal processing overhead)');
\ No newline at end of file
+console.log('   • Performance-optimized (minimal processing overhead)');
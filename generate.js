@@ -37,10 +37,33 @@ const glitch = require('glitch-canvas');
 
 // Internal modules
 const { DESIGN_CONSTANTS } = require('./lib/design-system');
-const { sophisticatedColorGlitch } = require('./lib/advanced-color-system');
-const { phi, tau, hashString, parseQuotes } = require('./lib/utils');
-const { generateConstellation } = require('./lib/constellation');
-const { applyGlitchEffects, PerlinNoise } = require('./lib/pixel-glitch');
+const { sophisticatedColorGlitch, createColorOrchestrator } = require('./lib/advanced-color-system');
+const { phi, tau, quoteSeed, parseQuotes } = require('./lib/utils');
+const { generateConstellation, getConstellationType, findKeyWord, loadPatternModules, constellationSettingsProblems } = require('./lib/constellation');
+const { LABEL_FONT: NIGHT_SKY_FONT } = require('./lib/night-sky');
+const { applyGlitchEffects, describeGlitch, PerlinNoise } = require('./lib/pixel-glitch');
+const { VARIANTS, parseCli, selectQuotes, selectTemplates, printUsage } = require('./lib/cli');
+const { loadBuildManifest } = require('./lib/build-manifest');
+const { WorkerPool, runInBatches } = require('./lib/worker-pool');
+const { DEFAULT_CONFIG, loadConfig, parseOverrides, describeConfig } = require('./lib/config');
+const { writeAssetManifest } = require('./lib/asset-manifest');
+const { assetFilename, findCollisions } = require('./lib/naming');
+const { readSlots, fillTextSlot } = require('./lib/template-slots');
+const { loadTemplates, templateGeometry, templateBoundsFor } = require('./lib/template-registry');
+const { createSegmentMeasurer, parseFontFamilies, readClassStyles, textElementBox } = require('./lib/text-metrics');
+const { EMPHASIS_STYLES, EMPHASIS_FONTS, parseEmphasis, hasEmphasis, autoEmphasize } = require('./lib/emphasis');
+const { smartenPunctuation, breakLines, missingHyphenation } = require('./lib/typography');
+const { findMissingFonts, embedFonts, registerFontsForRasterizing, fontsFingerprint } = require('./lib/fonts');
+const { DEFAULT_LOCALE, localeSettings, localizeElementFont, localizeStyles, localeFontFamilies, wordsOf } = require('./lib/locales');
+const { linkTranslations, seriesLength, translationReport } = require('./lib/translations');
+const { quoteIssue, formatIssue, sortIssues } = require('./lib/quote-lint');
+const { assignIds, writeIds } = require('./lib/quote-ids');
+const { isYamlSource } = require('./lib/quote-sources');
+const { findNearDuplicates } = require('./lib/near-duplicates');
+const { artProblems } = require('./lib/art-direction');
+const { BRAND_MARK, creditLine, creditStyleProblems } = require('./lib/attribution');
+const { resolvePlan, planSchedule, writeSchedule } = require('./lib/content-plan');
+const { puzzleProblems, puzzleMessage, puzzleStars, puzzleMarkup, stampPuzzle, decodePuzzle, joinParts } = require('./lib/crypto-puzzle');
 
 // =============================================================================
 // CONFIGURATION
@@ -49,65 +72,86 @@ const { applyGlitchEffects, PerlinNoise } = require('./lib/pixel-glitch');
 /**
  * Application configuration object
  * Controls feature flags and output settings
+ * 
+ * Starts from the built-in defaults in lib/config.js; main() replaces it with
+ * the resolved generator.config.yaml profile and CLI overrides at startup
  */
-const CONFIG = {
-  // Feature toggles
-  ENABLE_CONSTELLATIONS: true,
-  ENABLE_GLITCH_EFFECTS: true,
-  ENABLE_CRYPTO_PUZZLE: true,
-  
-  // Export settings
-  EXPORT_SVG_FOR_AE: process.argv.includes('--ae'),
-  
-  // Templates and directories
-  TEMPLATES: ['social-01.svg', 'social-05.svg'],
-  OUTPUT_DIR: './stories',
-  SVG_EXPORT_DIR: './svg-exports',
-  
-  // Processing options
-  HIGH_QUALITY: true,
-  BATCH_SIZE: 50, // Process in batches to manage memory
-};
+const CONFIG = { ...DEFAULT_CONFIG };
 
 // =============================================================================
 // BRANDING SYSTEM
 // =============================================================================
 
+// Font of the generated 302 mark - must exist in CONFIG.FONTS_DIR like template fonts
+const BRANDING_FONT = "IBMPlexSans-Light, 'IBM Plex Sans'";
+
+const escapeXml = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
 /**
  * Generate professional branding elements with strategic positioning
  * Uses golden ratio and design grid for optimal placement
  * 
  * @param {Object} quote - Quote object with text and metadata
- * @param {boolean} isSquare - Whether template is square format
+ * @param {Object} templateBounds - Template viewBox width and height
+ * @param {Object} [slotBox] - Branding slot box from the template, overrides placement
+ * @param {string} [mark] - Text of the mark: the 302 brand mark, or a credit line
  * @returns {string} SVG markup for branding elements
  */
-function generateBranding(quote, isSquare) {
-  const seed = hashString(quote.text);
-  const charCount = quote.text.length;
+function generateBranding(quote, templateBounds, slotBox = null, mark = BRAND_MARK) {
+  const { pos, rotation, anchor } = brandingPlacement(quote, templateBounds, slotBox, mark);
+  
+  return `
+  <g id="branding" transform="translate(${pos.x}, ${pos.y}) rotate(${rotation})">
+    <text font-family="${BRANDING_FONT}" 
+          font-size="${DESIGN_CONSTANTS.FONT_SIZES.metadata}" 
+          fill="${DESIGN_CONSTANTS.COLORS.metadata}" 
+          opacity="0.7"${anchor}>${escapeXml(mark)}</text>
+  </g>`;
+}
+
+// Where the branding mark goes: the template's branding slot, or a seeded spot on the grid
+function brandingPlacement(quote, templateBounds, slotBox, mark) {
+  const seed = quoteSeed(quote);
   
   // Strategic positioning based on design grid and golden ratio
-  const height = isSquare ? 108 : 192;
+  const { width, height } = templateBounds;
+  const goldenSection = width / phi;
   const positions = [
     // Bottom corners - classic placement
-    { x: DESIGN_CONSTANTS.GRID.golden_section, y: height - DESIGN_CONSTANTS.GRID.margin * 1.5 },
-    { x: 108 - DESIGN_CONSTANTS.GRID.golden_section, y: height - DESIGN_CONSTANTS.GRID.margin * 1.5 },
+    { x: goldenSection, y: height - DESIGN_CONSTANTS.GRID.margin * 1.5 },
+    { x: width - goldenSection, y: height - DESIGN_CONSTANTS.GRID.margin * 1.5 },
     // Top strategic positions  
     { x: DESIGN_CONSTANTS.GRID.margin * 2, y: DESIGN_CONSTANTS.GRID.margin * 2 },
-    { x: 108 - DESIGN_CONSTANTS.GRID.margin * 3, y: DESIGN_CONSTANTS.GRID.margin * 2 },
+    { x: width - DESIGN_CONSTANTS.GRID.margin * 3, y: DESIGN_CONSTANTS.GRID.margin * 2 },
     // Vertical center - subtle
     { x: DESIGN_CONSTANTS.GRID.margin, y: height / 2 }
   ];
   
-  const pos = positions[seed % positions.length];
+  // A template's branding slot pins the mark to the slot's bottom-left corner
+  const pos = slotBox
+    ? { x: slotBox.x, y: slotBox.y + slotBox.height }
+    : positions[seed % positions.length];
   const rotation = ((seed % 11) - 5) * 0.4; // Subtle rotation
+  // Credit lines are wider than the mark, so right-hand positions grow leftwards
+  const anchor = mark !== BRAND_MARK && pos.x > width / 2 ? ' text-anchor="end"' : '';
   
-  return `
-  <g id="branding" transform="translate(${pos.x}, ${pos.y}) rotate(${rotation})">
-    <text font-family="IBM Plex Sans" 
-          font-size="${DESIGN_CONSTANTS.FONT_SIZES.metadata}" 
-          fill="${DESIGN_CONSTANTS.COLORS.metadata}" 
-          opacity="0.7">302</text>
-  </g>`;
+  return { pos, rotation, anchor };
+}
+
+// Box the branding mark covers, from an average glyph width - constellations keep clear of it
+function brandingZone(quote, templateBounds, slotBox, mark) {
+  const { pos, anchor } = brandingPlacement(quote, templateBounds, slotBox, mark);
+  const fontSize = DESIGN_CONSTANTS.FONT_SIZES.metadata;
+  const width = mark.length * fontSize * 0.6;
+  return { x: anchor ? pos.x - width : pos.x, y: pos.y - fontSize, width, height: fontSize * 1.25 };
+}
+
+// Box the filled lines of a text slot cover: their measured width, from the top of the slot box
+function textZone(slot, layout, direction = 'ltr') {
+  const { box } = slot;
+  if (!layout) return box;
+  const height = (slot.fontSize || layout.fontSize) + (layout.lines.length - 1) * layout.lineHeight;
+  return { x: direction === 'rtl' ? box.x + box.width - layout.width : box.x, y: box.y, width: layout.width, height };
 }
 
 // =============================================================================
@@ -128,12 +172,12 @@ function generateBranding(quote, isSquare) {
  */
 function generateContextualText(quote, type, seed, quoteIndex, totalQuotes, allQuotes = []) {
   const chance = new Chance(seed);
-  const doc = nlp(quote.text);
   
-  // Extract linguistic features
-  const verbs = doc.verbs().out('array');
-  const nouns = doc.nouns().out('array');
-  const adjectives = doc.adjectives().out('array');
+  // Extract linguistic features - English only; other locales get the generic fallbacks
+  const doc = localeSettings(quote.locale).nlp ? nlp(quote.text) : null;
+  const verbs = doc ? doc.verbs().out('array') : [];
+  const nouns = doc ? doc.nouns().out('array') : [];
+  const adjectives = doc ? doc.adjectives().out('array') : [];
   const wordCount = quote.text.split(' ').length;
   
   // Generate contextual elements based on quote analysis
@@ -169,8 +213,31 @@ function generateContextualText(quote, type, seed, quoteIndex, totalQuotes, allQ
   }
 }
 
+/**
+ * Keywords of a quote for similarity matching
+ * Nouns and verbs where English NLP applies, otherwise every word over 3 letters
+ * (every word in CJK text)
+ * 
+ * @param {Object} quote - Quote object
+ * @returns {Array} Lower-cased keywords
+ */
+function quoteKeywords(quote) {
+  const settings = localeSettings(quote.locale);
+  if (!settings.nlp) {
+    return wordsOf(quote.text, settings.locale)
+      .filter(word => settings.breaking === 'characters' || word.length > 3)
+      .map(word => word.toLowerCase());
+  }
+  
+  const doc = nlp(quote.text);
+  return doc.nouns().out('array')
+    .concat(doc.verbs().out('array'))
+    .map(word => word.toLowerCase());
+}
+
 /**
  * Find semantically related quotes using simple keyword matching
+ * Only quotes in the same language are compared
  * 
  * @param {Object} currentQuote - Current quote object
  * @param {Array} allQuotes - All available quotes
@@ -178,18 +245,13 @@ function generateContextualText(quote, type, seed, quoteIndex, totalQuotes, allQ
  * @returns {Array} Array of related quotes
  */
 function findRelatedQuotes(currentQuote, allQuotes, currentIndex) {
-  const currentDoc = nlp(currentQuote.text);
-  const currentKeywords = currentDoc.nouns().out('array')
-    .concat(currentDoc.verbs().out('array'))
-    .map(word => word.toLowerCase());
+  const { language } = localeSettings(currentQuote.locale);
+  const currentKeywords = quoteKeywords(currentQuote);
   
   return allQuotes
-    .filter((_, index) => index !== currentIndex)
+    .filter((quote, index) => index !== currentIndex && localeSettings(quote.locale).language === language)
     .map(quote => {
-      const doc = nlp(quote.text);
-      const keywords = doc.nouns().out('array')
-        .concat(doc.verbs().out('array'))
-        .map(word => word.toLowerCase());
+      const keywords = quoteKeywords(quote);
       
       const commonWords = currentKeywords.filter(word => keywords.includes(word));
       return { quote, similarity: commonWords.length };
@@ -204,32 +266,115 @@ function findRelatedQuotes(currentQuote, allQuotes, currentIndex) {
 // TEXT UTILITIES
 // =============================================================================
 
+// Quote text with its inline markup; AUTO_EMPHASIS highlights the key word of unmarked quotes
+function bodyMarkup(quote) {
+  const markup = quote.markup || quote.text;
+  if (!CONFIG.AUTO_EMPHASIS || hasEmphasis(markup)) return typeset(markup, quote.locale);
+  
+  const wholeWord = localeSettings(quote.locale).breaking !== 'characters';
+  return typeset(autoEmphasize(markup, findKeyWord(quote.text, quote.locale), { wholeWord }), quote.locale);
+}
+
+// Display text only - seeds, slugs and NLP keep the quote's own punctuation
+function typeset(text, locale) {
+  return CONFIG.SMART_PUNCTUATION ? smartenPunctuation(text, locale) : text;
+}
+
+// Credit line in the house style, typeset for display - null when nobody is credited
+function creditText(quote) {
+  const line = creditLine(quote.attribution, CONFIG.CREDIT_STYLE);
+  return line ? typeset(line, quote.locale) : null;
+}
+
+// Message a quote's crypto puzzle carries at its place in the series - null when off or empty
+function puzzleFor(quote, position) {
+  if (!CONFIG.ENABLE_CRYPTO_PUZZLE) return null;
+  return puzzleMessage(quote, CONFIG.PUZZLE, position, ({ text, locale }) => findKeyWord(text, locale));
+}
+
+// Line breaking options from CONFIG for a quote
+function lineBreaking(quote) {
+  return {
+    balance: CONFIG.BALANCE_LINES,
+    hyphenate: CONFIG.HYPHENATION,
+    locale: quote.locale
+  };
+}
+
+// Line heights land on quarter steps of the baseline grid (6.8 → 1.7)
+function snapToBaseline(lineHeight) {
+  const step = DESIGN_CONSTANTS.GRID.baseline / 4;
+  return Math.round(Math.ceil(lineHeight / step - 1e-9) * step * 100) / 100;
+}
+
 /**
- * Wrap text to fit within specified width
- * @param {string} text - Text to wrap
- * @param {number} maxWidth - Maximum width in pixels
- * @param {number} fontSize - Font size for character width estimation
- * @returns {Array} Array of text lines
+ * Fit text into a slot with the largest step of the DESIGN_CONSTANTS type scale
+ * Steps primary → reduced → minimal are scaled to the slot's design font size, so
+ * a 6.4px slot tries 6.4, 5.33 and 4.27; leading keeps the slot's proportion
+ * @param {Array} segments - { text, emphasis } segments from parseEmphasis()
+ * @param {Object} slot - Slot from readSlots (box, fontSize, lineHeight, maxLines)
+ * @param {Function} measureAt - Font size → measuring function for that size
+ * @param {Object} [breakOptions] - Balancing and hyphenation, see breakLines() in lib/typography.js
+ * @returns {Object} { lines, fontSize, lineHeight, width, step, fits } - minimal step when nothing fits
  */
-function wrapText(text, maxWidth, fontSize = 12) {
-  const words = text.split(" ");
-  const lines = [];
-  let currentLine = "";
+function fitTextToSlot(segments, slot, measureAt, breakOptions = {}) {
+  const { FONT_SIZES } = DESIGN_CONSTANTS;
+  const designSize = slot.fontSize || FONT_SIZES.primary;
+  const leading = (slot.lineHeight || designSize * 1.2) / designSize;
+  let layout = null;
 
-  const estimatedCharWidth = fontSize * 0.6; // Rough estimate
-  const maxCharsPerLine = Math.floor(maxWidth / estimatedCharWidth);
+  for (const step of ['primary', 'reduced', 'minimal']) {
+    const fontSize = Math.round(designSize * FONT_SIZES[step] / FONT_SIZES.primary * 100) / 100;
+    const lineHeight = snapToBaseline(fontSize * leading);
+    const measure = measureAt(fontSize);
+    const lines = breakLines(segments, slot.box.width, measure, breakOptions);
 
-  for (const word of words) {
-    if ((currentLine + " " + word).length <= maxCharsPerLine) {
-      currentLine += (currentLine ? " " : "") + word;
-    } else {
-      if (currentLine) lines.push(currentLine);
-      currentLine = word;
-    }
+    // Lines the box holds: first line's ascent plus one line height per extra line
+    const boxLines = Math.floor((slot.box.height - fontSize) / lineHeight) + 1;
+    const maxLines = Math.min(slot.maxLines || boxLines, boxLines);
+    const fits = lines.length <= maxLines && lines.every(line => measure(line) <= slot.box.width);
+
+    const width = Math.max(0, ...lines.map(line => measure(line)));
+    layout = { lines, fontSize, lineHeight, width, step, fits };
+    if (fits) break;
   }
 
-  if (currentLine) lines.push(currentLine);
-  return lines;
+  return layout;
+}
+
+/**
+ * Fill a bilingual template's original slot with the text a translation came from
+ * Set in the original's locale: its fonts, direction, punctuation and line breaking
+ * 
+ * @param {Document} doc - Template document
+ * @param {Object} slot - The "original" slot from readSlots
+ * @param {Object|null} original - quote.original from linkTranslations(), null for untranslated quotes
+ * @param {Object} classStyles - The template's CSS classes, from readClassStyles
+ * @returns {Object|null} The layout from fitTextToSlot(), null when the slot is left empty
+ */
+function fillOriginalSlot(doc, slot, original, classStyles) {
+  if (!original) {
+    fillTextSlot(doc, slot, []);
+    return null;
+  }
+  
+  const locale = localeSettings(original.locale, CONFIG.LOCALE_FONTS);
+  localizeElementFont(slot.element, classStyles, locale);
+  const emphasisStyles = localizeStyles(EMPHASIS_STYLES, locale);
+  const measureAt = fontSize => createSegmentMeasurer(doc, slot, CONFIG.FONTS_DIR, fontSize, emphasisStyles);
+  
+  const markup = typeset(original.markup || original.text, original.locale);
+  const layout = fitTextToSlot(parseEmphasis(markup), slot, measureAt, lineBreaking(original));
+  if (!layout.fits) {
+    console.warn(`⚠️  Original of "${original.title}" does not fit the original slot even at the minimal size (${layout.fontSize}px)`);
+  }
+  fillTextSlot(doc, slot, layout.lines, {
+    fontSize: layout.fontSize,
+    lineHeight: layout.lineHeight,
+    emphasisStyles,
+    direction: locale.direction
+  });
+  return { ...layout, direction: locale.direction };
 }
 
 // =============================================================================
@@ -243,7 +388,7 @@ function wrapText(text, maxWidth, fontSize = 12) {
  * @param {string} svgContent - Raw SVG template content
  * @param {Object} quote - Quote object with text and metadata
  * @param {number} quoteIndex - Current quote index
- * @param {number} totalQuotes - Total number of quotes
+ * @param {number} totalQuotes - Length of the series (translations don't count)
  * @param {Array} allQuotes - All available quotes for context
  * @returns {string} Populated SVG content
  */
@@ -257,63 +402,91 @@ function populateTemplate(svgContent, quote, quoteIndex, totalQuotes = 249, allQ
     return svgContent;
   }
   
-  const seed = hashString(quote.text + quoteIndex);
-  const chance = new Chance(seed);
-  const wordCount = quote.text.split(' ').length;
-  
-  // Determine template format early
-  const isSquareTemplate = !svgContent.includes('height="192"');
+  // Translations take their original's place in the series, and with it its seed
+  const position = quote.seriesIndex ?? quoteIndex;
+  const seed = quoteSeed(quote);
   
   // =============================================================================
-  // TEXT REPLACEMENT SYSTEM
+  // SLOT FILLING SYSTEM
   // =============================================================================
   
-  // Text replacement system
-  const textElements = doc.querySelectorAll('text, tspan');
-  let quotePlaced = false;
-  let titlePlaced = false;
+  // Templates declare named slots (data-slot="body" etc.) - see lib/template-slots.js
+  const slots = readSlots(doc);
   
-  textElements.forEach(el => {
-    const content = el.textContent.trim();
-    const parentEl = el.parentNode;
-    const parentClass = parentEl ? parentEl.getAttribute('class') : null;
-    
-    // Replace BODY text (the long Lorem ipsum content)
-    if ((content.includes('Lorem ipsum dolor sit amet') || content.includes('Lorem ipsum dolor')) && !quotePlaced) {
-      // Keep original font size from template - DON'T TOUCH IT
-      const originalFontSize = parseFloat(el.getAttribute('font-size')) || 9.2;
-      
-      // Text wrapping based on template format
-      const maxWidth = isSquareTemplate ? 80 : 100; // Narrower for square templates
-      const lines = wrapText(quote.text, maxWidth, originalFontSize);
-      
-      if (lines.length === 1) {
-        // Single line - just set text content
-        el.textContent = quote.text;
-      } else {
-        // Multiple lines - create tspan elements
-        el.textContent = ''; // Clear existing content
-        const lineHeight = originalFontSize * 1.2;
-        
-        lines.forEach((line, index) => {
-          const tspan = doc.createElementNS('http://www.w3.org/2000/svg', 'tspan');
-          tspan.textContent = line;
-          tspan.setAttribute('x', el.getAttribute('x') || '0');
-          tspan.setAttribute('dy', index === 0 ? '0' : lineHeight);
-          el.appendChild(tspan);
-        });
-      }
-      
-      quotePlaced = true;
-    } 
-    // Replace TITLE text (just "Lorem ipsum" in social-01)
-    else if (content === 'Lorem ipsum' && !titlePlaced) {
-      // Use the actual title from the quote data
-      el.textContent = quote.title;
-      titlePlaced = true;
-    }
-    // Keep other text as-is (decorative/branding text)
+  // Quote text is set in the locale's fonts and direction - see lib/locales.js
+  const locale = localeSettings(quote.locale, CONFIG.LOCALE_FONTS);
+  const classStyles = readClassStyles(doc);
+  ['body', 'title', 'category', 'credit'].filter(name => slots[name]).forEach(name => {
+    localizeElementFont(slots[name].element, classStyles, locale);
   });
+  const emphasisStyles = localizeStyles(EMPHASIS_STYLES, locale);
+  const textOptions = { emphasisStyles, direction: locale.direction };
+  
+  // Lines are measured with the slot's real font, size and letter-spacing - see lib/text-metrics.js
+  // Long quotes step down the type scale until they fit the body box
+  const measureSlot = slot => fontSize => createSegmentMeasurer(doc, slot, CONFIG.FONTS_DIR, fontSize, emphasisStyles);
+  
+  // Boxes of the text as set, which constellations keep clear of - see lib/exclusion-zones.js
+  // The template's own text (subtitles, rotated side lines) is measured as it stands
+  const exclusions = [...doc.querySelectorAll('text:not([data-slot])')]
+    .map(element => textElementBox(element, classStyles, CONFIG.FONTS_DIR));
+  
+  if (slots.body) {
+    const layout = fitTextToSlot(parseEmphasis(bodyMarkup(quote)), slots.body, measureSlot(slots.body), lineBreaking(quote));
+    if (!layout.fits) {
+      console.warn(`⚠️  "${quote.title}" does not fit the body slot even at the minimal size (${layout.fontSize}px, ${layout.lines.length} lines)`);
+    }
+    fillTextSlot(doc, slots.body, layout.lines, { ...textOptions, fontSize: layout.fontSize, lineHeight: layout.lineHeight });
+    exclusions.push(textZone(slots.body, layout, locale.direction));
+  } else {
+    console.warn('⚠️  Template has no body slot');
+  }
+  
+  if (slots.title) {
+    const title = [{ text: typeset(quote.title, quote.locale), emphasis: null }];
+    const layout = fitTextToSlot(title, slots.title, measureSlot(slots.title), { locale: quote.locale });
+    if (!layout.fits) {
+      console.warn(`⚠️  Title "${quote.title}" does not fit the title slot even at the minimal size (${layout.fontSize}px)`);
+    }
+    fillTextSlot(doc, slots.title, layout.lines, { ...textOptions, fontSize: layout.fontSize, lineHeight: layout.lineHeight });
+    exclusions.push(textZone(slots.title, layout, locale.direction));
+  }
+  
+  // Bilingual templates show the original beside its translation, in the original's own locale
+  if (slots.original) {
+    const layout = fillOriginalSlot(doc, slots.original, quote.original, classStyles);
+    if (layout) exclusions.push(textZone(slots.original, layout, layout.direction));
+  }
+  
+  // Single-line metadata isn't measured, its whole slot box stays clear
+  if (slots.category) {
+    fillTextSlot(doc, slots.category, [quote.category], textOptions);
+    exclusions.push(textZone(slots.category));
+  }
+  
+  if (slots.progress) {
+    fillTextSlot(doc, slots.progress, [generateContextualText(quote, 'progress', seed, position, totalQuotes)]);
+    exclusions.push(textZone(slots.progress));
+  }
+  
+  // Attributed quotes are credited in the credit slot, or in place of the brand mark
+  const credit = creditText(quote);
+  if (slots.credit && credit) {
+    const layout = fitTextToSlot([{ text: credit, emphasis: null }], slots.credit, measureSlot(slots.credit), { locale: quote.locale });
+    if (!layout.fits) {
+      console.warn(`⚠️  Credit "${credit}" does not fit the credit slot even at the minimal size (${layout.fontSize}px)`);
+    }
+    fillTextSlot(doc, slots.credit, layout.lines, { ...textOptions, fontSize: layout.fontSize, lineHeight: layout.lineHeight });
+    exclusions.push(textZone(slots.credit, layout, locale.direction));
+  } else if (slots.credit) {
+    slots.credit.element.remove();
+  }
+  
+  // Branding slot is a placement hint - the generated mark replaces it
+  const brandingBox = slots.branding ? slots.branding.box : null;
+  if (slots.branding) {
+    slots.branding.element.remove();
+  }
   
   // =============================================================================
   // AFTER EFFECTS LAYER ORGANIZATION
@@ -322,6 +495,7 @@ function populateTemplate(svgContent, quote, quoteIndex, totalQuotes = 249, allQ
   if (CONFIG.EXPORT_SVG_FOR_AE) {
     // Organize content into named layers for After Effects import
     const existingContent = svg.innerHTML;
+    svg.setAttributeNS('http://www.w3.org/2000/xmlns/', 'xmlns:inkscape', 'http://www.inkscape.org/namespaces/inkscape');
     svg.innerHTML = `<g id="base" inkscape:groupmode="layer" inkscape:label="Base">${existingContent}</g>`;
   }
   
@@ -331,16 +505,16 @@ function populateTemplate(svgContent, quote, quoteIndex, totalQuotes = 249, allQ
   // CONSTELLATION GENERATION
   // =============================================================================
   
-  const templateBounds = {
-    width: 108,
-    height: finalSvg.includes('height="192"') ? 192 : 108,
-    isSquare: !finalSvg.includes('height="192"')
-  };
+  // Bounds and export size come from the template's own viewBox
+  const templateBounds = templateBoundsFor(templateGeometry(svgContent));
   
   // Simplified - no shared noise mask for now
   const sharedNoiseMask = null;
   
-  const constellation = generateConstellation(quote, templateBounds, CONFIG);
+  const mark = !slots.credit && credit ? credit : BRAND_MARK;
+  exclusions.push(brandingZone(quote, templateBounds, brandingBox, mark));
+  
+  const constellation = generateConstellation(quote, templateBounds, CONFIG, exclusions.filter(Boolean));
   if (constellation) {
     const insertIndex = finalSvg.lastIndexOf('</svg>');
     finalSvg = finalSvg.slice(0, insertIndex) + constellation + '\n';
@@ -350,11 +524,27 @@ function populateTemplate(svgContent, quote, quoteIndex, totalQuotes = 249, allQ
   // PROFESSIONAL BRANDING
   // =============================================================================
   
-  const branding = generateBranding(quote, templateBounds.isSquare);
+  const branding = generateBranding(quote, templateBounds, brandingBox, mark);
   const brandingIndex = finalSvg.lastIndexOf('</svg>');
   finalSvg = finalSvg.slice(0, brandingIndex) + branding + '\n</svg>';
   
-  return { svg: finalSvg, sharedNoiseMask, templateBounds };
+  // =============================================================================
+  // CRYPTO PUZZLE
+  // =============================================================================
+  
+  // Stars whose colors spell a message, on top of everything - see lib/crypto-puzzle.js
+  const message = puzzleFor(quote, position);
+  const puzzle = message ? puzzleStars(message, templateBounds, seed, exclusions.filter(Boolean)) : [];
+  if (puzzle.length > 0) {
+    const layer = CONFIG.EXPORT_SVG_FOR_AE ? ' inkscape:groupmode="layer" inkscape:label="Puzzle"' : '';
+    const puzzleIndex = finalSvg.lastIndexOf('</svg>');
+    finalSvg = finalSvg.slice(0, puzzleIndex) + `  <g id="puzzle"${layer}>${puzzleMarkup(puzzle, templateBounds)}\n  </g>\n</svg>`;
+  }
+  
+  // Subset and embed every font used, for the PNG render and the --ae export alike
+  finalSvg = embedFonts(finalSvg, CONFIG.FONTS_DIR);
+  
+  return { svg: finalSvg, sharedNoiseMask, templateBounds, puzzle };
 }
 
 // =============================================================================
@@ -363,57 +553,587 @@ function populateTemplate(svgContent, quote, quoteIndex, totalQuotes = 249, allQ
 
 /**
  * Main application entry point
- * Orchestrates the entire generation pipeline with progress tracking
+ * Parses the command line and dispatches to the requested subcommand
  */
 async function main() {
-  // Check for test flag
-  const isTestMode = process.argv.includes('--test');
-  const testLimit = 10;
+  let cli;
+  try {
+    cli = parseCli();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    printUsage();
+    process.exit(1);
+  }
+  
+  if (cli.command === 'help') {
+    printUsage();
+    return;
+  }
+  
+  // Decoding reads images only - no config, quotes or fonts needed
+  if (cli.command === 'decode') {
+    const succeeded = await decodeImages(cli.files);
+    if (!succeeded) process.exit(1);
+    return;
+  }
+  
+  // =============================================================================
+  // CONFIGURATION
+  // =============================================================================
+  
+  // Dedicated flags win over --set, which wins over the config file
+  const { options } = cli;
+  let overrides;
+  try {
+    overrides = parseOverrides(options.set);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  if (options.exportSvgForAe) overrides.ae_export = true;
+  if (options.quoteFiles.length > 0) {
+    overrides.quote_files = options.quoteFormat
+      ? options.quoteFiles.map(file => ({ path: file, format: options.quoteFormat }))
+      : options.quoteFiles;
+  }
+  if (options.concurrency) overrides.concurrency = options.concurrency;
+  if (options.batchSize) overrides.batch_size = options.batchSize;
+  
+  try {
+    Object.assign(CONFIG, loadConfig({ configPath: options.configPath, profile: options.profile, overrides }));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  
+  // Custom constellation patterns register before quotes are validated against them
+  let settingsProblems;
+  try {
+    loadPatternModules(CONFIG.CONSTELLATION_PATTERNS.modules);
+    settingsProblems = [
+      ...creditStyleProblems(CONFIG.CREDIT_STYLE),
+      ...constellationSettingsProblems(CONFIG.CONSTELLATION_PATTERNS),
+      ...puzzleProblems(CONFIG.PUZZLE)
+    ];
+  } catch (error) {
+    settingsProblems = [error.message];
+  }
+  if (settingsProblems.length > 0) {
+    settingsProblems.forEach(problem => console.error(`❌ ${problem}`));
+    process.exit(1);
+  }
+  
+  // =============================================================================
+  // CONTENT LOADING
+  // =============================================================================
+  
+  let templates;
+  try {
+    templates = loadTemplates(CONFIG.TEMPLATES_DIR, CONFIG.TEMPLATES);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  
+  // Quote files are validated while parsing - see lib/quote-lint.js and lib/art-direction.js
+  const templateNames = templates.map(template => template.name);
+  const validateArt = art => artProblems(art, templateNames);
+  const { quotes: parsedQuotes, issues } = parseQuotes(CONFIG.QUOTE_FILES, { validateArt });
+  const errors = issues.filter(issue => issue.severity === 'error');
+  if (cli.command !== 'lint') {
+    if (errors.length > 0) {
+      console.error('❌ Invalid quotes (run `node generate.js lint` for the full report):');
+      sortIssues(errors).forEach(issue => console.error(`   ${formatIssue(issue)}`));
+      process.exit(1);
+    }
+    if (issues.length > 0) {
+      console.warn(`⚠️  ${issues.length} quote warnings - run \`node generate.js lint\` for details`);
+    }
+  }
+  
+  const { quotes, problems: translationProblems } = linkTranslations(parsedQuotes);
+  translationProblems.forEach(problem => console.warn(`⚠️  ${problem}`));
+  
+  const selectedQuotes = selectQuotes(quotes, cli.options.filters);
+  let selectedTemplates;
+  try {
+    selectedTemplates = selectTemplates(templates, cli.options.filters);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    printUsage();
+    process.exit(1);
+  }
+
+  if (cli.command === 'list') {
+    listCorpus(cli.target, quotes, selectedQuotes, selectedTemplates);
+    return;
+  }
+  
+  if (cli.command === 'assign-ids') {
+    assignQuoteIds(quotes, selectedQuotes);
+    return;
+  }
+  
+  // lint still reports a source whose every quote failed to parse
+  if (selectedQuotes.length === 0 && cli.command !== 'lint') {
+    console.error('❌ No quotes match the given filters');
+    process.exit(1);
+  }
+  
+  if (cli.command === 'plan') {
+    planPosts(selectedQuotes, selectedTemplates, cli.options);
+    return;
+  }
+  
+  const brokenTemplates = selectedTemplates.filter(template => template.problems.length > 0);
+  if (brokenTemplates.length > 0) {
+    console.error('❌ Templates with invalid slots:');
+    brokenTemplates.forEach(template => console.error(`   ${template.name}: ${template.problems.join('; ')}`));
+    process.exit(1);
+  }
+  
+  // Fonts are never substituted - a missing file would change every render
+  const missingFonts = missingFontsFor(selectedQuotes, selectedTemplates);
+  
+  // Hyphenation patterns are packages of their own, needed only for the languages being set
+  const quoteLocales = new Set(selectedQuotes.flatMap(({ quote }) => [quote.locale, ...(quote.original ? [quote.original.locale] : [])]));
+  const missingPatterns = CONFIG.HYPHENATION ? missingHyphenation(quoteLocales) : [];
+  if (missingPatterns.length > 0) {
+    console.error(`❌ hyphenation is on, but these packages are not installed: ${missingPatterns.join(', ')}`);
+    console.error(`   npm install ${missingPatterns.join(' ')}, or --set hyphenation=false`);
+    process.exit(1);
+  }
+  
+  if (cli.command === 'lint') {
+    const succeeded = lintQuotes(issues, quotes, selectedQuotes, selectedTemplates, missingFonts);
+    if (!succeeded) process.exit(1);
+    return;
+  }
+  
+  if (missingFonts.length > 0) {
+    console.error(`❌ Missing font files in ${CONFIG.FONTS_DIR} (.ttf or .otf, named after the first font-family):`);
+    missingFonts.forEach(({ fontFamilies, templates: usedBy }) => {
+      console.error(`   ${fontFamilies.join(', ') || '(no font-family)'}  ← ${usedBy.length ? usedBy.join(', ') : 'branding, emphasis or locale fonts'}`);
+    });
+    process.exit(1);
+  }
+  registerFontsForRasterizing(CONFIG.FONTS_DIR);
+  
+  const jobs = cli.command === 'render-one' ? selectedQuotes.slice(0, 1) : selectedQuotes;
+  // Quotes read with -q or --set quote_files are a one-off, not the corpus - nothing is pruned
+  const wholeCorpus = overrides.quote_files === undefined;
+  await runGeneration(jobs, selectedTemplates, quotes, cli, templates, wholeCorpus);
+}
+
+/**
+ * Print the crypto puzzle message of each image, and the whole message when
+ * the images carry parts of a split code
+ * 
+ * @param {Array} files - Rendered PNG paths
+ * @returns {boolean} Whether every image held a readable puzzle
+ */
+async function decodeImages(files) {
+  const results = [];
+  let succeeded = true;
+  
+  for (const file of files) {
+    let result;
+    try {
+      result = await decodePuzzle(file);
+    } catch (error) {
+      console.error(`❌ ${file}: cannot read image (${error.message})`);
+      succeeded = false;
+      continue;
+    }
+    
+    if (!result) {
+      console.error(`❌ ${file}: no puzzle found`);
+      succeeded = false;
+      continue;
+    }
+    
+    const part = result.parts > 1 ? ` (part ${result.part} of ${result.parts})` : '';
+    if (result.missing > 0) {
+      console.warn(`⚠️  ${file}: "${result.text}"${part} - ${result.missing} byte(s) unreadable, shown as ?`);
+      succeeded = false;
+    } else {
+      console.log(`🔐 ${file}: "${result.text}"${part}`);
+    }
+    results.push(result);
+  }
+  
+  const series = results.filter(result => result.parts > 1);
+  if (series.length > 0) {
+    console.log(`🧩 Message so far: "${joinParts(series)}"`);
+  }
+  return succeeded;
+}
+
+// Font files the selected quotes and templates need but FONTS_DIR lacks
+function missingFontsFor(selectedQuotes, selectedTemplates) {
+  const locales = new Set(selectedQuotes.flatMap(({ quote }) => [quote.locale, ...(quote.original ? [quote.original.locale] : [])]));
+  const nightSkyLabels = CONFIG.NIGHT_SKY_LABELS && selectedTemplates.some(template => {
+    const templateBounds = templateBoundsFor(templateGeometry(template.content));
+    return selectedQuotes.some(({ quote }) => getConstellationType(quote, CONFIG, templateBounds) === 'night_sky');
+  });
+  return findMissingFonts(selectedTemplates, CONFIG.FONTS_DIR, [
+    parseFontFamilies(BRANDING_FONT),
+    ...EMPHASIS_FONTS,
+    ...localeFontFamilies(locales, CONFIG.LOCALE_FONTS),
+    ...(nightSkyLabels ? [parseFontFamilies(NIGHT_SKY_FONT)] : [])
+  ]);
+}
+
+/**
+ * Report quote file problems, style warnings and text that overflows its template
+ * The capacity check covers the selected quotes and templates, and needs every font
+ * 
+ * @param {Array} issues - Issues from parseQuotes()
+ * @param {Array} quotes - Full quote corpus
+ * @param {Array} selectedQuotes - Filtered {quote, quoteIndex} entries
+ * @param {Array} selectedTemplates - Filtered template objects
+ * @param {Array} missingFonts - Result of missingFontsFor(), skips the capacity check when not empty
+ * @returns {boolean} Whether the corpus is free of errors
+ */
+function lintQuotes(issues, quotes, selectedQuotes, selectedTemplates, missingFonts) {
+  const capacityIssues = missingFonts.length === 0 ? checkTemplateCapacity(selectedQuotes, selectedTemplates) : [];
+  const duplicateIssues = findNearDuplicates(selectedQuotes.map(({ quote }) => quote), { threshold: CONFIG.NEAR_DUPLICATE_THRESHOLD })
+    .map(({ a, b, similarity, shared }) => {
+      const message = `"${b.title}" says much the same as "${a.title}" (${a.source}:${a.line}, ${Math.round(similarity * 100)}% alike: ${shared.join(', ')})`;
+      return quoteIssue(b, 'warning', 'near-duplicate', message);
+    });
+  const allIssues = sortIssues([...issues, ...capacityIssues, ...duplicateIssues]);
+  allIssues.forEach(issue => console.log(formatIssue(issue)));
+  
+  if (missingFonts.length > 0) {
+    const families = missingFonts.map(({ fontFamilies }) => fontFamilies[0]).join(', ');
+    console.log(`\n⏭️  Template capacity not checked - missing font files in ${CONFIG.FONTS_DIR}: ${families}`);
+  }
+  
+  const errors = allIssues.filter(issue => issue.severity === 'error').length;
+  const warnings = allIssues.length - errors;
+  const checked = missingFonts.length === 0 ? ` against ${selectedTemplates.length} templates` : '';
+  console.log(`\n🔍 Linted ${quotes.length} quotes (${selectedQuotes.length} checked${checked}): ${errors} errors, ${warnings} warnings`);
+  return errors === 0;
+}
+
+/**
+ * Give the selected quotes without an id one, written back into their quote files
+ * Ids keep a quote's art and file names when its text is edited or moved
+ * 
+ * @param {Array} quotes - Full quote corpus, whose ids are taken
+ * @param {Array} selectedQuotes - Filtered {quote, quoteIndex} entries
+ */
+function assignQuoteIds(quotes, selectedQuotes) {
+  const assignments = assignIds(selectedQuotes.map(({ quote }) => quote), quotes);
+  if (assignments.length === 0) {
+    console.log('🪪 Every selected quote already has an id');
+    return;
+  }
+  
+  assignments.forEach(({ quote, id }) => console.log(`   ${quote.source}:${quote.line}  ${quote.title} → ${id}`));
+  
+  // Only YAML files are rewritten; other formats get the ids by hand
+  const writable = assignments.filter(({ quote }) => isYamlSource(quote.source));
+  const manual = assignments.filter(({ quote }) => !isYamlSource(quote.source));
+  if (writable.length > 0) {
+    const files = writeIds(writable);
+    console.log(`\n🪪 Assigned ${writable.length} ids in ${files.join(', ')}`);
+    console.log('   Quotes that gained an id get new art and file names on the next run');
+  }
+  if (manual.length > 0) {
+    const sources = [...new Set(manual.map(({ quote }) => quote.source))];
+    console.log(`\n⚠️  ${manual.length} ids not written - add them to ${sources.join(', ')} by hand (only YAML files are edited)`);
+  }
+}
+
+/**
+ * Schedule the selected quotes as posts and write schedule.csv and schedule.ics
+ * Asset paths are the ones a generate run writes, flagged when not rendered yet
+ * 
+ * @param {Array} selectedQuotes - Filtered {quote, quoteIndex} entries
+ * @param {Array} selectedTemplates - Filtered template objects
+ * @param {Object} options - CLI options: plan (start, cadence) and limit
+ */
+function planPosts(selectedQuotes, selectedTemplates, { plan, limit }) {
+  let settings;
+  try {
+    settings = resolvePlan({ ...CONFIG.PLAN, ...plan }, new Date().toLocaleDateString('en-CA'));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  
+  // Translations post alongside their originals, so only originals are scheduled
+  const quotes = selectedQuotes.map(({ quote }) => quote).filter(quote => !quote.original);
+  Object.keys(settings.weights)
+    .filter(category => !quotes.some(quote => quote.category === category))
+    .forEach(category => console.warn(`⚠️  plan weights: no selected quotes in category "${category}"`));
+  
+  const posts = planSchedule(quotes, settings, {
+    templatesFor: quote => templatesFor(quote, selectedTemplates),
+    nearDuplicates: findNearDuplicates(quotes, { threshold: CONFIG.NEAR_DUPLICATE_THRESHOLD }),
+    limit
+  });
+  if (posts.length === 0) {
+    console.error('❌ Nothing to schedule - every matching category has weight 0');
+    process.exit(1);
+  }
+  
+  const rows = posts.map(({ date, time, quote, format, template }) => {
+    const paths = template ? assetPaths(quote, template) : null;
+    return {
+      date,
+      time,
+      category: quote.category,
+      quote_title: quote.title,
+      quote_text: quote.text,
+      quote_id: quote.id,
+      slug: quote.slug,
+      locale: quote.locale,
+      format,
+      template: template ? template.name : null,
+      asset: paths ? paths.clean : null,
+      glitch_asset: paths && glitchEnabled(quote) ? paths.glitch : null,
+      rendered: paths ? fs.existsSync(paths.clean) : false,
+      credit: creditText(quote)
+    };
+  });
+  const { csvPath, icsPath } = writeSchedule(CONFIG.OUTPUT_DIR, rows);
+  
+  const perCategory = new Map();
+  rows.forEach(row => perCategory.set(row.category, (perCategory.get(row.category) || 0) + 1));
+  perCategory.forEach((count, category) => console.log(`${String(count).padStart(4)}  ${category}`));
+  
+  const unplaced = rows.filter(row => !row.template).length;
+  const unrendered = rows.filter(row => row.template && !row.rendered).length;
+  console.log(`\n📅 Planned ${rows.length} posts, ${rows[0].date} to ${rows[rows.length - 1].date} (${settings.cadence} at ${settings.time})`);
+  console.log(`   ${csvPath} | ${icsPath}`);
+  if (unplaced > 0) console.warn(`⚠️  ${unplaced} posts have no template in the formats ${settings.formats.join(', ')}`);
+  if (unrendered > 0) console.log(`   ${unrendered} assets not rendered yet - run \`node generate.js generate\` with the same profile`);
+}
+
+/**
+ * Check that quotes fit the text slots of the templates they render with
+ * Uses the fonts, type scale and line breaking of a real render
+ * 
+ * @param {Array} selectedQuotes - Filtered {quote, quoteIndex} entries
+ * @param {Array} templates - Templates to check against
+ * @returns {Array} Errors for text that overflows a slot even at the minimal size
+ */
+function checkTemplateCapacity(selectedQuotes, templates) {
+  // One document per template and locale, with slot fonts localized as in populateTemplate
+  const documents = new Map();
+  const documentFor = (template, localeName) => {
+    const key = `${template.name}|${localeName}`;
+    if (!documents.has(key)) {
+      const doc = new JSDOM(template.content, { contentType: 'image/svg+xml' }).window.document;
+      const slots = readSlots(doc);
+      const locale = localeSettings(localeName, CONFIG.LOCALE_FONTS);
+      const classStyles = readClassStyles(doc);
+      Object.values(slots).forEach(slot => localizeElementFont(slot.element, classStyles, locale));
+      documents.set(key, { doc, slots, emphasisStyles: localizeStyles(EMPHASIS_STYLES, locale) });
+    }
+    return documents.get(key);
+  };
+  
+  const issues = [];
+  selectedQuotes.forEach(({ quote }) => {
+    const texts = [
+      { slotName: 'body', locale: quote.locale, segments: parseEmphasis(bodyMarkup(quote)), breakOptions: lineBreaking(quote) },
+      { slotName: 'title', locale: quote.locale, segments: [{ text: typeset(quote.title, quote.locale), emphasis: null }], breakOptions: { locale: quote.locale } }
+    ];
+    if (quote.original) {
+      const { original } = quote;
+      const segments = parseEmphasis(typeset(original.markup || original.text, original.locale));
+      texts.push({ slotName: 'original', locale: original.locale, segments, breakOptions: lineBreaking(original) });
+    }
+    const credit = creditText(quote);
+    if (credit) {
+      texts.push({ slotName: 'credit', locale: quote.locale, segments: [{ text: credit, emphasis: null }], breakOptions: { locale: quote.locale } });
+    }
+    
+    templatesFor(quote, templates).forEach(template => {
+      texts.forEach(({ slotName, locale, segments, breakOptions }) => {
+        const { doc, slots, emphasisStyles } = documentFor(template, locale);
+        const slot = slots[slotName];
+        if (!slot || !slot.box) return;
+        
+        const measureAt = fontSize => createSegmentMeasurer(doc, slot, CONFIG.FONTS_DIR, fontSize, emphasisStyles);
+        const layout = fitTextToSlot(segments, slot, measureAt, breakOptions);
+        if (!layout.fits) {
+          const message = `"${quote.title}" overflows the ${slotName} slot of ${template.name} even at ${layout.fontSize}px (${layout.lines.length} lines)`;
+          issues.push(quoteIssue(quote, 'error', 'capacity', message));
+        }
+      });
+    });
+  });
+  
+  return issues;
+}
+
+/**
+ * Print quotes, categories or templates matching the CLI filters
+ * 
+ * @param {string} target - What to list: quotes, categories or templates
+ * @param {Array} quotes - Full quote corpus
+ * @param {Array} selectedQuotes - Filtered {quote, quoteIndex} entries
+ * @param {Array} selectedTemplates - Filtered template objects
+ */
+function listCorpus(target, quotes, selectedQuotes, selectedTemplates) {
+  switch (target) {
+    case 'categories': {
+      const counts = new Map();
+      selectedQuotes.forEach(({ quote }) => counts.set(quote.category, (counts.get(quote.category) || 0) + 1));
+      counts.forEach((count, category) => console.log(`${String(count).padStart(4)}  ${category}`));
+      console.log(`\n${counts.size} categories`);
+      break;
+    }
+      
+    case 'templates':
+      selectedTemplates.forEach(template => {
+        const slotNames = template.slots.map(slot => slot.name).join(', ') || 'none';
+        const size = template.exportSize ? `${template.exportSize.width}x${template.exportSize.height}` : '?';
+        const bilingual = template.bilingual ? ' (bilingual)' : '';
+        console.log(`${template.problems.length ? '❌' : '✅'} ${template.name}  ${template.format || '?'} ${size}${bilingual}  slots: ${slotNames}`);
+        template.problems.forEach(problem => console.log(`     ${problem}`));
+      });
+      break;
+      
+    // Untranslated originals per locale; quotes without an id can't be linked at all
+    case 'translations': {
+      const selected = new Set(selectedQuotes.map(({ quote }) => quote));
+      translationReport(quotes).forEach(({ locale, translated, missing }) => {
+        const shown = missing.filter(quote => selected.has(quote));
+        console.log(`🌍 ${locale}: ${translated} translated, ${missing.length} missing`);
+        shown.forEach(quote => {
+          const id = quote.id === undefined ? 'no id' : `id ${quote.id}`;
+          console.log(`     [${quote.category}] ${quote.title} (${quote.locale}, ${id})`);
+        });
+      });
+      break;
+    }
+      
+    default:
+      selectedQuotes.forEach(({ quote, quoteIndex }) => {
+        const locale = quote.locale === DEFAULT_LOCALE ? '' : ` (${quote.locale})`;
+        console.log(`${String(quoteIndex + 1).padStart(4)}  [${quote.category}] ${quote.title}${locale} — ${quote.slug}`);
+      });
+      console.log(`\n${selectedQuotes.length}/${quotes.length} quotes`);
+  }
+}
+
+/**
+ * Render the selected quotes against the selected templates
+ * Orchestrates the generation pipeline with progress tracking
+ * 
+ * @param {Array} jobs - Filtered {quote, quoteIndex} entries to render
+ * @param {Array} templates - Templates to render each quote with
+ * @param {Array} allQuotes - Full quote corpus for indexing and context
+ * @param {Object} cli - Parsed command line from parseCli
+ * @param {Array} [allTemplates] - Every configured template, for pruning and collision checks
+ * @param {boolean} [prune] - Delete outputs allQuotes no longer produce (only when allQuotes is the configured corpus)
+ */
+async function runGeneration(jobs, templates, allQuotes, cli, allTemplates = templates, prune = true) {
+  const { limit, fullRebuild } = cli.options;
+  const { CONCURRENCY: concurrency, BATCH_SIZE: batchSize } = CONFIG;
+  
+  // Glitch variants only exist while glitch effects are enabled
+  const variants = cli.options.variants.filter(variant => variant !== 'glitch' || CONFIG.ENABLE_GLITCH_EFFECTS);
   
   console.log('🎨 Room 302 Studio - Social Media Generator v2.0');
   console.log('📐 Production-ready design system initialized');
-  if (isTestMode) {
-    console.log(`🧪 Test mode: generating only ${testLimit} images`);
+  console.log(describeConfig(CONFIG));
+  if (limit) {
+    console.log(`🧪 Limited run: generating only ${limit} images`);
+  }
+  
+  // =============================================================================
+  // NAMING COLLISION CHECK
+  // =============================================================================
+  
+  // Checked across the whole corpus, before any file is written or pruned
+  const collisions = findCollisions(allQuotes, allTemplates.map(t => t.name), (quote, name) => assetPaths(quote, { name }).clean);
+  if (collisions.length > 0) {
+    console.error(`❌ ${collisions.length} output filename collisions - nothing was written:`);
+    collisions.forEach(collision => {
+      console.error(`   ${collision.path}`);
+      collision.quotes.forEach(quote => console.error(`     ← [${quote.category}] ${quote.title}: "${quote.text}" (${quote.source})`));
+    });
+    process.exit(1);
   }
   
   // =============================================================================
   // ENVIRONMENT SETUP
   // =============================================================================
   
-  console.log('🧹 Preparing output directories...');
+  // Incremental by default - only --full wipes previous output
+  console.log(fullRebuild ? '🧹 Preparing output directories...' : '📂 Preparing output directories...');
   [CONFIG.OUTPUT_DIR, CONFIG.SVG_EXPORT_DIR].forEach(dir => {
-    if (fs.existsSync(dir)) fs.rmSync(dir, { recursive: true });
+    if (fullRebuild && fs.existsSync(dir)) fs.rmSync(dir, { recursive: true });
     fs.mkdirSync(dir, { recursive: true });
   });
   
+  const manifest = loadBuildManifest(CONFIG.OUTPUT_DIR);
+  // Glitch PNGs go only when a quote's art direction drops them - a run with glitch effects off keeps them
+  if (prune) {
+    const expectedPaths = new Set(allQuotes.flatMap(quote => templatesFor(quote, allTemplates).flatMap(template => {
+      const paths = assetPaths(quote, template);
+      const kept = VARIANTS.filter(variant => variant !== 'glitch' || artAllowsGlitch(quote));
+      return [...kept.map(variant => paths[variant]), paths.svg];
+    })));
+    const pruned = manifest.prune(expectedPaths);
+    if (pruned.length > 0) {
+      console.log(`🗑️  Pruned ${pruned.length} outputs for removed quotes, templates or renamed files`);
+    }
+  }
+  
   // =============================================================================
-  // CONTENT LOADING
+  // BUILD PLANNING
   // =============================================================================
   
-  console.log('📚 Loading quote corpus...');
-  const quotes = parseQuotes([
-    './quotes.yaml',
-    './quotes-FR.yaml'
-  ]);
+  // Only re-render the variants whose inputs changed since the last build
+  const settings = renderSettings();
+  const totalQuotes = seriesLength(allQuotes);
+  const renderQueue = [];
+  let plannedAssets = 0;
+  let skipped = 0;
   
-  console.log('🎨 Initializing templates...');
-  const templates = CONFIG.TEMPLATES.map(file => ({
-    name: file.replace('.svg', ''),
-    content: fs.readFileSync(file, 'utf8')
-  }));
+  for (const { quote, quoteIndex } of jobs) {
+    // Limited run: stop planning once the limit is reached
+    if (limit && plannedAssets >= limit) break;
+    
+    for (const template of templatesFor(quote, templates)) {
+      if (limit && plannedAssets >= limit) break;
+      
+      const series = { position: quote.seriesIndex ?? quoteIndex, length: totalQuotes };
+      const hash = manifest.inputHash(quote, template, settings, series);
+      const paths = assetPaths(quote, template);
+      const quoteVariants = variantsFor(quote, variants);
+      const staleVariants = quoteVariants.filter(variant => !manifest.isFresh(paths[variant], hash));
+      const svgStale = CONFIG.EXPORT_SVG_FOR_AE && !manifest.isFresh(paths.svg, hash);
+      skipped += quoteVariants.length - staleVariants.length;
+      
+      if (staleVariants.length === 0 && !svgStale) continue;
+      
+      renderQueue.push({ quoteIndex, templateName: template.name, variants: staleVariants, hash });
+      plannedAssets += staleVariants.length;
+    }
+  }
   
   // =============================================================================
   // GENERATION STATISTICS
   // =============================================================================
   
-  const totalAssets = quotes.length * templates.length * 2; // 2x for glitch variants
-  console.log(`✅ Corpus: ${quotes.length} quotes | Templates: ${templates.length} formats`);
-  console.log(`📊 Expected output: ${totalAssets} total assets`);
+  const workerCount = Math.max(1, Math.min(concurrency, renderQueue.length));
+  console.log(`✅ Corpus: ${jobs.length}/${allQuotes.length} quotes | Templates: ${templates.length} formats | Variants: ${variants.join(', ')}`);
+  console.log(`📊 Expected output: ${plannedAssets} assets to render | ${skipped} up to date`);
+  console.log(`🧵 Workers: ${workerCount} | Batch size: ${batchSize}`);
   
   const features = [];
   if (CONFIG.ENABLE_CONSTELLATIONS) features.push('🌌 generative constellations');
   if (CONFIG.ENABLE_GLITCH_EFFECTS) features.push('🔥 tasteful glitch variants');
-  console.log(`⚡ Active systems: ${features.join(' | ')}`);
+  console.log(`⚡ Active systems: ${features.join(' | ') || 'none'}`);
   
   // =============================================================================
   // BATCH PROCESSING PIPELINE
@@ -421,51 +1141,191 @@ async function main() {
   
   console.log('🚀 Batch generation started...');
   const startTime = Date.now();
+  const context = { quotes: allQuotes, templates };
   let count = 0;
+  let failed = 0;
+  let lastReported = 0;
+  
+  const recordResult = (job, written) => {
+    const quote = allQuotes[job.quoteIndex];
+    const template = templates.find(t => t.name === job.templateName);
+    written.forEach(asset => manifest.record(asset.file, job.hash, quote, template, asset));
+    
+    const rendered = written.filter(asset => asset.variant !== 'svg').length;
+    count += rendered;
+    failed += job.variants.length - rendered;
+    
+    // Progress indicator
+    const done = count + failed;
+    if (done - lastReported >= 20) {
+      lastReported = done;
+      const progress = Math.round((done / plannedAssets) * 100);
+      console.log(`📈 Progress: ${progress}% (${done}/${plannedAssets})`);
+    }
+  };
+  
+  // Single worker renders in-process; otherwise fan out to worker_threads
+  const pool = workerCount > 1
+    ? new WorkerPool(path.join(__dirname, 'lib', 'render-worker.js'), workerCount, { config: CONFIG, quotes: allQuotes, templates })
+    : null;
   
   try {
-    for (const [quoteIndex, quote] of quotes.entries()) {
-      for (const template of templates) {
-        await processQuoteTemplate(quote, template, quoteIndex, quotes.length, quotes, count);
-        count += 2; // Each quote generates 2 files (normal + glitch)
-        
-        // Test mode: stop after limit
-        if (isTestMode && count >= testLimit) {
-          console.log(`🧪 Test mode complete: generated ${count} images`);
-          break;
-        }
-        
-        // Progress indicator
-        if (count % 20 === 0) {
-          const progress = Math.round((count / totalAssets) * 100);
-          console.log(`📈 Progress: ${progress}% (${count}/${totalAssets})`);
-        }
-      }
-      
-      // Break outer loop too in test mode
-      if (isTestMode && count >= testLimit) {
-        break;
+    if (pool) {
+      await runInBatches(renderQueue, batchSize, job => pool.run(job), recordResult);
+    } else {
+      for (const job of renderQueue) {
+        recordResult(job, await renderJob(job, context));
       }
     }
   } catch (error) {
+    manifest.save();
     console.error('❌ Generation failed:', error.message);
     process.exit(1);
+  } finally {
+    if (pool) await pool.destroy();
   }
   
+  manifest.save();
+  const { jsonPath, csvPath } = writeAssetManifest(CONFIG.OUTPUT_DIR, manifest.assetRecords());
+  
   // =============================================================================
   // COMPLETION STATISTICS
   // =============================================================================
   
   const duration = (Date.now() - startTime) / 1000;
-  const rate = Math.round(count / (duration / 60));
+  const rate = duration > 0 ? Math.round(count / (duration / 60)) : 0;
   
   console.log('🎉 Production complete!');
-  console.log(`📈 Generated: ${count} high-resolution assets`);
+  console.log(`📈 Generated: ${count} high-resolution assets | Up to date: ${skipped}${failed ? ` | Failed: ${failed}` : ''}`);
   console.log(`⏱️  Duration: ${duration.toFixed(1)}s | Rate: ${rate} assets/min`);
   console.log(`💾 Output: ${CONFIG.OUTPUT_DIR}/`);
+  console.log(`🗂️  Asset manifest: ${jsonPath} | ${csvPath}`);
   console.log('🎨 Ready for deployment to social media platforms');
 }
 
+/**
+ * Render one planned quote-template job
+ * Shared by the in-process pipeline and lib/render-worker.js
+ * 
+ * @param {Object} job - Planned job: quoteIndex, templateName, variants
+ * @param {Object} context - Full quote corpus and loaded templates
+ * @returns {Promise<Array>} Asset manifest records of the files that were written
+ */
+function renderJob(job, context) {
+  const quote = context.quotes[job.quoteIndex];
+  const template = context.templates.find(t => t.name === job.templateName);
+  
+  return processQuoteTemplate(
+    quote,
+    template,
+    job.quoteIndex,
+    seriesLength(context.quotes),
+    context.quotes,
+    0,
+    { variants: job.variants }
+  );
+}
+
+// Bilingual templates only render translations - an original has nothing to show beside it
+function templatesFor(quote, templates) {
+  const { templates: preferred } = quote.art || {};
+  return templates
+    .filter(template => !template.bilingual || quote.original)
+    .filter(template => !preferred || preferred.includes(template.name));
+}
+
+// Whether a quote's art direction allows glitch effects
+function artAllowsGlitch(quote) {
+  return !(quote.art && quote.art.glitch === false);
+}
+
+// Whether a quote gets glitch effects - the profile and the quote's art direction both allow them
+function glitchEnabled(quote) {
+  return CONFIG.ENABLE_GLITCH_EFFECTS && artAllowsGlitch(quote);
+}
+
+// Variants a quote renders: no glitch variant when its art direction turns glitch off
+function variantsFor(quote, variants) {
+  return variants.filter(variant => variant !== 'glitch' || glitchEnabled(quote));
+}
+
+/**
+ * Output paths for every asset produced by a quote-template combination
+ * 
+ * @param {Object} quote - Quote object
+ * @param {Object} template - Template object with name and content
+ * @returns {Object} Paths keyed by variant: clean, glitch and svg
+ */
+function assetPaths(quote, template) {
+  return {
+    clean: path.join(CONFIG.OUTPUT_DIR, assetFilename(quote, template.name, 'clean')),
+    glitch: path.join(CONFIG.OUTPUT_DIR, assetFilename(quote, template.name, 'glitch')),
+    svg: path.join(CONFIG.SVG_EXPORT_DIR, assetFilename(quote, template.name, 'svg'))
+  };
+}
+
+/**
+ * Configuration values that change rendered output
+ * Part of every asset's build manifest hash
+ * 
+ * @returns {Object} Output-affecting settings
+ */
+function renderSettings() {
+  return {
+    constellations: CONFIG.ENABLE_CONSTELLATIONS,
+    constellationPatterns: CONFIG.CONSTELLATION_PATTERNS,
+    nightSkyLabels: CONFIG.NIGHT_SKY_LABELS,
+    glitch: CONFIG.ENABLE_GLITCH_EFFECTS,
+    cryptoPuzzle: CONFIG.ENABLE_CRYPTO_PUZZLE,
+    puzzle: CONFIG.PUZZLE,
+    ae: CONFIG.EXPORT_SVG_FOR_AE,
+    highQuality: CONFIG.HIGH_QUALITY,
+    autoEmphasis: CONFIG.AUTO_EMPHASIS,
+    smartPunctuation: CONFIG.SMART_PUNCTUATION,
+    creditStyle: CONFIG.CREDIT_STYLE,
+    balanceLines: CONFIG.BALANCE_LINES,
+    hyphenation: CONFIG.HYPHENATION,
+    localeFonts: CONFIG.LOCALE_FONTS,
+    fonts: fontsFingerprint(CONFIG.FONTS_DIR)
+  };
+}
+
+/**
+ * Quote, template and generative-art fields of an asset manifest record
+ * 
+ * @param {Object} quote - Quote object
+ * @param {Object} template - Template object with name and content
+ * @param {number} quoteIndex - Quote index in the full corpus
+ * @returns {Object} Record fields shared by every variant of the pair
+ */
+function describeAssetSource(quote, template, quoteIndex) {
+  const seed = quoteSeed(quote);
+  const puzzle = puzzleFor(quote, quote.seriesIndex ?? quoteIndex);
+  const colorOrchestrator = createColorOrchestrator(seed, quote.art);
+  
+  return {
+    template: template.name,
+    quote_index: quoteIndex + 1,
+    quote_title: quote.title,
+    quote_text: quote.text,
+    category: quote.category,
+    slug: quote.slug,
+    locale: quote.locale,
+    source: quote.source,
+    author: quote.attribution.author,
+    source_url: quote.attribution.source_url,
+    date: quote.attribution.date,
+    credit: creditText(quote),
+    seed,
+    constellation_type: getConstellationType(quote, CONFIG, templateBoundsFor(templateGeometry(template.content))),
+    puzzle_message: puzzle ? puzzle.text : null,
+    puzzle_part: puzzle ? `${puzzle.part}/${puzzle.parts}` : null,
+    palette_harmony: colorOrchestrator.harmony,
+    palette: colorOrchestrator.palette.map(color => color.hex()),
+    profile: CONFIG.PROFILE
+  };
+}
+
 /**
  * Process a single quote-template combination
  * Generates both standard and glitch variants with shared visual correlation
@@ -476,17 +1336,23 @@ async function main() {
  * @param {number} totalQuotes - Total number of quotes
  * @param {Array} allQuotes - All quotes for context
  * @param {number} count - Current asset count for naming
+ * @param {Object} options - Render options
+ * @param {Array} options.variants - Variants to write: 'clean' and/or 'glitch'
+ * @returns {Array} Asset manifest records of the files that were written
  */
-async function processQuoteTemplate(quote, template, quoteIndex, totalQuotes, allQuotes, count) {
-  const filename = `${template.name}_${quote.text.slice(0, 30).replace(/[^a-zA-Z0-9]/g, '-')}.png`;
-  const glitchFilename = `${template.name}_${quote.text.slice(0, 30).replace(/[^a-zA-Z0-9]/g, '-')}.glitch.png`;
+async function processQuoteTemplate(quote, template, quoteIndex, totalQuotes, allQuotes, count, options = {}) {
+  const { variants = ['clean', 'glitch'] } = options;
+  const paths = assetPaths(quote, template);
+  const filename = path.basename(paths.clean);
+  const glitchFilename = path.basename(paths.glitch);
+  const written = [];
   
   try {
     // =============================================================================
     // SVG GENERATION WITH SHARED NOISE
     // =============================================================================
     
-    const { svg: populatedSvg, sharedNoiseMask, templateBounds } = populateTemplate(
+    const { svg: populatedSvg, sharedNoiseMask, templateBounds, puzzle } = populateTemplate(
       template.content, 
       quote, 
       quoteIndex, 
@@ -494,47 +1360,74 @@ async function processQuoteTemplate(quote, template, quoteIndex, totalQuotes, al
       allQuotes
     );
     
+    // Shared by every asset record from this quote-template combination
+    const describe = (variant, width, height, effects, renderStart) => ({
+      file: paths[variant],
+      variant,
+      ...describeAssetSource(quote, template, quoteIndex),
+      width,
+      height,
+      effects,
+      render_ms: Date.now() - renderStart,
+      built_at: new Date().toISOString()
+    });
+    
     // Optional SVG export for After Effects
     if (CONFIG.EXPORT_SVG_FOR_AE) {
-      const svgFilename = `${CONFIG.SVG_EXPORT_DIR}/${template.name}_${quote.text.slice(0, 30).replace(/[^a-zA-Z0-9]/g, '-')}.svg`;
-      fs.writeFileSync(svgFilename, populatedSvg);
+      fs.writeFileSync(paths.svg, populatedSvg);
+      written.push(describe('svg', templateBounds.width, templateBounds.height, [], Date.now()));
     }
     
     // =============================================================================
     // HIGH-QUALITY PNG RENDERING
     // =============================================================================
     
-    const width = templateBounds.isSquare ? 1080 : 1080;
-    const height = templateBounds.isSquare ? 1080 : 1920;
+    const { width, height } = templateBounds.exportSize;
     
-    // Standard version with subtle enhancement
-    let pngBuffer = await sharp(Buffer.from(populatedSvg))
-      .resize(width, height)
-      .png({ quality: 100 })
-      .toBuffer();
-    
-    // Skip glitch effects for now to debug
-    const seed = hashString(quote.text + template.name);
+    // Draw from the seeded sequence even when a variant is skipped,
+    // so filtered runs render byte-identical files to full runs
+    const seed = quoteSeed(quote, template.name);
     const chance = new Chance(seed);
+    const enhanceStandard = chance.bool({ likelihood: 50 });
     
-    if (chance.bool({ likelihood: 50 })) {
-      pngBuffer = await applyGlitchEffects(pngBuffer, quote, false);
+    if (variants.includes('clean')) {
+      const renderStart = Date.now();
+      
+      // Standard version with subtle enhancement
+      let pngBuffer = await sharp(Buffer.from(populatedSvg))
+        .resize(width, height)
+        .png({ quality: 100 })
+        .toBuffer();
+      
+      if (enhanceStandard) {
+        pngBuffer = await applyGlitchEffects(pngBuffer, quote, false, CONFIG);
+      }
+      
+      // Puzzle stars go in last, in their exact colors - see lib/crypto-puzzle.js
+      if (puzzle.length > 0) pngBuffer = await stampPuzzle(pngBuffer, puzzle, templateBounds);
+      
+      fs.writeFileSync(paths.clean, pngBuffer);
+      const effects = enhanceStandard && glitchEnabled(quote) ? describeGlitch(quote, false).effects : [];
+      written.push(describe('clean', width, height, effects, renderStart));
+      console.log(`✅ ${filename}`);
     }
     
-    fs.writeFileSync(`${CONFIG.OUTPUT_DIR}/${filename}`, pngBuffer);
-    console.log(`✅ ${filename}`);
+    if (!variants.includes('glitch')) return written;
     
     // =============================================================================
     // GLITCH VARIANT WITH SHARED VISUAL CORRELATION
     // =============================================================================
     
+    const renderStart = Date.now();
+    const glitchEffects = describeGlitch(quote, true).effects;
+    
     let glitchBuffer = await sharp(Buffer.from(populatedSvg))
       .resize(width, height)
       .png({ quality: 100 })
       .toBuffer();
     
     // Re-enable glitch effects
-    glitchBuffer = await applyGlitchEffects(glitchBuffer, quote, true);
+    glitchBuffer = await applyGlitchEffects(glitchBuffer, quote, true, CONFIG);
     
     // Apply glitch-canvas effect with proper Promise handling
     try {
@@ -545,7 +1438,12 @@ async function processQuoteTemplate(quote, template, quoteIndex, totalQuotes, al
         iterations: 1
       };
       
-      if (Buffer.isBuffer(glitchBuffer) && glitchBuffer.length > 0) {
+      // Art direction can exclude the canvas glitch or scale its amount down
+      const { exclude_effects: excluded = [], glitch_intensity: intensity = 1 } = quote.art || {};
+      glitchParams.amount = Math.round(glitchParams.amount * intensity);
+      const canvasGlitch = !excluded.includes('glitch_canvas') && glitchParams.amount > 0;
+      
+      if (canvasGlitch && Buffer.isBuffer(glitchBuffer) && glitchBuffer.length > 0) {
         // glitch-canvas returns a Promise
         const glitchedResult = await new Promise((resolve, reject) => {
           glitch(glitchParams)
@@ -557,22 +1455,27 @@ async function processQuoteTemplate(quote, template, quoteIndex, totalQuotes, al
         
         if (Buffer.isBuffer(glitchedResult) && glitchedResult.length > 0) {
           glitchBuffer = glitchedResult;
+          glitchEffects.push('glitch_canvas');
         } else {
           console.warn(`⚠️  Glitch-canvas returned invalid buffer`);
         }
-      } else {
+      } else if (canvasGlitch) {
         console.warn(`⚠️  Skipping canvas glitch - invalid buffer`);
       }
     } catch (glitchError) {
       console.warn(`⚠️  Canvas glitch failed for ${glitchFilename}: ${glitchError.message}`);
     }
     
-    fs.writeFileSync(`${CONFIG.OUTPUT_DIR}/${glitchFilename}`, glitchBuffer);
+    if (puzzle.length > 0) glitchBuffer = await stampPuzzle(glitchBuffer, puzzle, templateBounds);
+    fs.writeFileSync(paths.glitch, glitchBuffer);
+    written.push(describe('glitch', width, height, glitchEffects, renderStart));
     console.log(`🔥 ${glitchFilename}`);
     
   } catch (error) {
     console.warn(`❌ Failed: ${template.name} - ${error.message}`);
   }
+  
+  return written;
 }
 
 // =============================================================================
@@ -592,5 +1495,7 @@ module.exports = {
   generateContextualText,
   populateTemplate,
   processQuoteTemplate,
+  renderJob,
+  assetPaths,
   CONFIG
 };
\ No newline at end of file
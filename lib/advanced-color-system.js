@@ -1,20 +1,30 @@
 const chroma = require("chroma-js");
 const Chance = require("chance");
 
+const HARMONIES = ['triadic', 'tetradic', 'split_complement', 'analogous', 'monochromatic'];
+
 // 🎨 SOPHISTICATED COLOR ORCHESTRATION SYSTEM
+// `harmony` and `palette` come from a quote's art direction (lib/art-direction.js);
+// seeded draws happen either way, so everything else about the quote stays put
 class ColorOrchestrator {
-  constructor(seed) {
+  constructor(seed, { harmony = null, palette = null } = {}) {
     this.chance = new Chance(seed);
-    this.palette = this.generateMasterPalette();
+    this.palette = this.generateMasterPalette(harmony);
+    if (palette) {
+      this.palette = palette.map(color => chroma(color));
+      this.harmony = 'custom';
+    }
   }
 
   // Generate a mathematically perfect palette using color theory
-  generateMasterPalette() {
+  generateMasterPalette(forcedHarmony = null) {
     const baseTemp = this.chance.integer({ min: 3000, max: 8000 });
     const baseColor = chroma.temperature(baseTemp);
     
     // Create sophisticated palette using different color harmony theories
-    const harmonyType = this.chance.pickone(['triadic', 'tetradic', 'split_complement', 'analogous', 'monochromatic']);
+    const pickedHarmony = this.chance.pickone(HARMONIES);
+    const harmonyType = forcedHarmony || pickedHarmony;
+    this.harmony = harmonyType;
     
     switch (harmonyType) {
       case 'triadic':
@@ -237,8 +247,8 @@ class ColorOrchestrator {
 }
 
 // Factory function for easy use
-function createColorOrchestrator(seed) {
-  return new ColorOrchestrator(seed);
+function createColorOrchestrator(seed, options = {}) {
+  return new ColorOrchestrator(seed, options);
 }
 
 // Enhanced glitch function that uses the orchestrator
@@ -256,6 +266,7 @@ function sophisticatedColorGlitch(baseColor, seed, likelihood = 15) {
 }
 
 module.exports = { 
+  HARMONIES,
   ColorOrchestrator, 
   createColorOrchestrator, 
   sophisticatedColorGlitch 
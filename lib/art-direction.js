@@ -0,0 +1,96 @@
+const chroma = require('chroma-js');
+const { constellationPatternNames } = require('./constellation');
+const { HARMONIES } = require('./advanced-color-system');
+const { GLITCH_TYPES } = require('./pixel-glitch');
+
+// 🎬 ART DIRECTION - per-quote and per-category overrides of the seeded visuals
+//
+//   art:
+//     templates: [social-05]          render with these templates only
+//     seed: 302                       fixed seed instead of the id (or text) hash
+//     constellation: golden_spiral    constellation pattern (built-in or registered)
+//     harmony: triadic                palette harmony
+//     palette: ["#e17055", "#55e170"] exact palette, wins over harmony
+//     glitch: false                   no glitch variant and no glitch pass on the clean one
+//     glitch_intensity: 0.5           0 (invisible) to 1 (full strength, the default)
+//     exclude_effects: [data_mosh]    glitch effects that are never applied
+//
+// An `art` block on a category applies to all its quotes; a quote's own keys win.
+// Overrides replace a seeded choice but the seeded draws still happen, so forcing the
+// constellation type keeps everything else about the quote's look.
+const GLITCH_EFFECTS = [...Object.values(GLITCH_TYPES), 'glitch_canvas'];
+
+const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+function oneOf(key, value, options) {
+  return options.includes(value) ? [] : [`art.${key} must be one of: ${options.join(', ')}`];
+}
+
+/**
+ * Check one `art` block - pass to parseQuotes() as its validateArt option
+ *
+ * @param {Object} art - A quote's or category's art block
+ * @param {Array} templateNames - Names of the configured templates
+ * @returns {Array} [{ severity, message }]
+ */
+function artProblems(art, templateNames) {
+  const errors = [];
+  const warnings = [];
+
+  Object.entries(art).forEach(([key, value]) => {
+    switch (key) {
+      case 'templates':
+        if (!isStringList(value) || value.length === 0) {
+          errors.push('art.templates must be a list of template names');
+        } else {
+          // Profiles pick subsets of the templates, so an unknown name only warns
+          value.filter(name => !templateNames.includes(name))
+            .forEach(name => warnings.push(`art.templates: "${name}" is not a configured template`));
+        }
+        break;
+      case 'seed':
+        if (!Number.isInteger(value)) errors.push('art.seed must be a whole number');
+        break;
+      case 'constellation':
+        errors.push(...oneOf(key, value, constellationPatternNames()));
+        break;
+      case 'harmony':
+        errors.push(...oneOf(key, value, HARMONIES));
+        break;
+      case 'palette':
+        if (!isStringList(value) || value.length === 0) {
+          errors.push('art.palette must be a list of colors');
+        } else {
+          value.filter(color => !chroma.valid(color))
+            .forEach(color => errors.push(`art.palette: "${color}" is not a color`));
+        }
+        break;
+      case 'glitch':
+        if (typeof value !== 'boolean') errors.push('art.glitch must be true or false');
+        break;
+      case 'glitch_intensity':
+        if (typeof value !== 'number' || value < 0 || value > 1) errors.push('art.glitch_intensity must be a number from 0 to 1');
+        break;
+      case 'exclude_effects':
+        if (!isStringList(value)) {
+          errors.push('art.exclude_effects must be a list of effect names');
+        } else {
+          value.filter(effect => !GLITCH_EFFECTS.includes(effect))
+            .forEach(effect => errors.push(`art.exclude_effects: unknown effect "${effect}" (expected: ${GLITCH_EFFECTS.join(', ')})`));
+        }
+        break;
+      default:
+        warnings.push(`Unknown art direction key art.${key}`);
+    }
+  });
+
+  return [
+    ...errors.map(message => ({ severity: 'error', message })),
+    ...warnings.map(message => ({ severity: 'warning', message }))
+  ];
+}
+
+module.exports = {
+  GLITCH_EFFECTS,
+  artProblems
+};
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+
+// 🗂️ ASSET MANIFEST - one record per generated file, as JSON and CSV
+const ASSET_MANIFEST_BASENAME = 'assets';
+
+const CSV_COLUMNS = [
+  'file',
+  'variant',
+  'template',
+  'width',
+  'height',
+  'quote_index',
+  'quote_title',
+  'quote_text',
+  'category',
+  'slug',
+  'locale',
+  'source',
+  'author',
+  'source_url',
+  'date',
+  'credit',
+  'seed',
+  'constellation_type',
+  'puzzle_message',
+  'puzzle_part',
+  'palette_harmony',
+  'palette',
+  'effects',
+  'render_ms',
+  'profile',
+  'built_at'
+];
+
+function csvEscape(value) {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(';') : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(records) {
+  const rows = records.map(record => CSV_COLUMNS.map(column => csvEscape(record[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+// 💾 Write assets.json and assets.csv into outputDir; returns the two paths
+function writeAssetManifest(outputDir, records) {
+  const sorted = [...records].sort((a, b) => a.file.localeCompare(b.file));
+  const jsonPath = path.join(outputDir, `${ASSET_MANIFEST_BASENAME}.json`);
+  const csvPath = path.join(outputDir, `${ASSET_MANIFEST_BASENAME}.csv`);
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(jsonPath, JSON.stringify({
+    generated_at: new Date().toISOString(),
+    count: sorted.length,
+    assets: sorted
+  }, null, 2));
+  fs.writeFileSync(csvPath, toCsv(sorted));
+
+  return { jsonPath, csvPath };
+}
+
+module.exports = { CSV_COLUMNS, csvEscape, writeAssetManifest };
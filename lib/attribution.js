@@ -0,0 +1,103 @@
+// 🙌 ATTRIBUTION - who said it, where, when, and the credit line rendered with it
+//
+//   - title: "Give Credit"
+//     text: "Give credit, take blame. Period."
+//     author: Ada Lovelace              who said or wrote it
+//     source_url: https://example.com   where it was said (the {source} placeholder is its host)
+//     date: 1843-07                     YYYY, YYYY-MM or YYYY-MM-DD
+//     credit: "Photo by Sam, via Unsplash"   exact credit line, wins over the house style
+//
+// The house style (credit_style in generator.config.yaml) turns these fields into the
+// credit line: {author}, {date}, {year} and {source} are replaced, and [bracketed]
+// parts are dropped when a placeholder inside them has no value. Quotes with neither
+// an author nor a credit have no credit line; templates show the brand mark instead.
+const ATTRIBUTION_FIELDS = ['author', 'source_url', 'date', 'credit'];
+const CREDIT_PLACEHOLDERS = ['author', 'date', 'year', 'source'];
+const DEFAULT_CREDIT_STYLE = '— {author}[, {year}]';
+const BRAND_MARK = '302';
+
+const DATE_PATTERN = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/;
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check a quote's attribution fields
+ *
+ * @param {Object} item - Quote fields as written in the quote file
+ * @returns {Array} [{ severity, message }]
+ */
+function attributionProblems(item) {
+  const problems = [];
+  const error = message => problems.push({ severity: 'error', message });
+
+  ['author', 'credit'].filter(field => item[field] !== undefined).forEach(field => {
+    if (typeof item[field] !== 'string' || !item[field].trim()) error(`\`${field}\` must be text`);
+  });
+  if (item.source_url !== undefined) {
+    const url = typeof item.source_url === 'string' && hostOf(item.source_url) ? new URL(item.source_url) : null;
+    if (!url || !['http:', 'https:'].includes(url.protocol)) error('`source_url` must be an http(s) link');
+  }
+  if (item.date !== undefined && !DATE_PATTERN.test(String(item.date))) {
+    error('`date` must be YYYY, YYYY-MM or YYYY-MM-DD');
+  }
+
+  return problems;
+}
+
+// The attribution fields a quote has, as written (dates as text)
+function attributionOf(item) {
+  const attribution = {};
+  ATTRIBUTION_FIELDS.filter(field => item[field] !== undefined).forEach(field => {
+    attribution[field] = String(item[field]).trim();
+  });
+  return attribution;
+}
+
+// Placeholders a credit style uses that don't exist
+function creditStyleProblems(style) {
+  return [...style.matchAll(/\{(\w+)\}/g)]
+    .map(match => match[1])
+    .filter(name => !CREDIT_PLACEHOLDERS.includes(name))
+    .map(name => `credit_style: unknown placeholder {${name}} (expected: ${CREDIT_PLACEHOLDERS.map(p => `{${p}}`).join(', ')})`);
+}
+
+/**
+ * The credit line for a quote
+ *
+ * @param {Object} attribution - A quote's attribution fields
+ * @param {string} [style] - House style with {placeholders} and [optional parts]
+ * @returns {string|null} Credit line, or null when there is no one to credit
+ */
+function creditLine(attribution = {}, style = DEFAULT_CREDIT_STYLE) {
+  if (attribution.credit) return attribution.credit;
+  if (!attribution.author) return null;
+
+  const values = {
+    author: attribution.author,
+    date: attribution.date || null,
+    year: attribution.date ? attribution.date.slice(0, 4) : null,
+    source: attribution.source_url ? hostOf(attribution.source_url) : null
+  };
+  const fill = text => text.replace(/\{(\w+)\}/g, (placeholder, name) => values[name] ?? '');
+
+  return fill(style.replace(/\[([^\]]*)\]/g, (part, inner) => {
+    const names = [...inner.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+    return names.every(name => values[name]) ? inner : '';
+  })).replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+  ATTRIBUTION_FIELDS,
+  DEFAULT_CREDIT_STYLE,
+  BRAND_MARK,
+  attributionProblems,
+  attributionOf,
+  creditStyleProblems,
+  creditLine
+};
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// 📦 INCREMENTAL BUILD MANIFEST
+// Bump GENERATOR_VERSION whenever a rendering change should invalidate every asset
+const GENERATOR_VERSION = '2.0.0';
+const MANIFEST_FILENAME = '.build-manifest.json';
+// Bump MANIFEST_FORMAT when the shape of manifest entries changes
+const MANIFEST_FORMAT = 2;
+
+function hashInputs(inputs) {
+  return crypto.createHash('sha256').update(JSON.stringify(inputs)).digest('hex');
+}
+
+class BuildManifest {
+  constructor(manifestPath, data = {}) {
+    this.path = manifestPath;
+    // A manifest written by another generator version or format is treated as empty
+    const compatible = data.version === GENERATOR_VERSION && data.format === MANIFEST_FORMAT;
+    this.assets = compatible ? (data.assets || {}) : {};
+  }
+
+  // Hash everything that can change the pixels of one quote × template pair - the
+  // series { position, length } too, which the progress slot and split puzzle codes show
+  inputHash(quote, template, settings = {}, series = {}) {
+    return hashInputs({
+      version: GENERATOR_VERSION,
+      template: template.content,
+      id: quote.id ?? null,
+      title: quote.title,
+      text: quote.text,
+      markup: quote.markup,
+      category: quote.category,
+      locale: quote.locale,
+      original: quote.original || null,
+      attribution: quote.attribution || {},
+      art: quote.art || {},
+      series,
+      settings
+    });
+  }
+
+  // An output is fresh when its file exists and was built from the same inputs
+  isFresh(outputPath, hash) {
+    const entry = this.assets[outputPath];
+    return Boolean(entry && entry.hash === hash && fs.existsSync(outputPath));
+  }
+
+  // `details` is the asset's record for the per-asset output manifest
+  record(outputPath, hash, quote, template, details = null) {
+    this.assets[outputPath] = {
+      hash,
+      quote: quote.text,
+      template: template.name,
+      builtAt: new Date().toISOString(),
+      details
+    };
+  }
+
+  // Asset manifest records for every output this manifest knows about
+  assetRecords() {
+    return Object.values(this.assets)
+      .map(entry => entry.details)
+      .filter(Boolean);
+  }
+
+  // Delete outputs no current quote × template would produce (removed quotes,
+  // removed templates, renamed files); returns removed paths
+  prune(expectedPaths) {
+    const removed = [];
+
+    Object.keys(this.assets).forEach(outputPath => {
+      if (expectedPaths.has(outputPath)) return;
+
+      if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+      delete this.assets[outputPath];
+      removed.push(outputPath);
+    });
+
+    return removed;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    const sorted = Object.fromEntries(Object.entries(this.assets).sort(([a], [b]) => a.localeCompare(b)));
+    fs.writeFileSync(this.path, JSON.stringify({ version: GENERATOR_VERSION, format: MANIFEST_FORMAT, assets: sorted }, null, 2));
+  }
+}
+
+// Factory - returns an empty manifest when none exists or it cannot be read
+function loadBuildManifest(outputDir) {
+  const manifestPath = path.join(outputDir, MANIFEST_FILENAME);
+
+  if (fs.existsSync(manifestPath)) {
+    try {
+      return new BuildManifest(manifestPath, JSON.parse(fs.readFileSync(manifestPath, 'utf8')));
+    } catch (error) {
+      console.warn(`⚠️  Ignoring unreadable build manifest: ${error.message}`);
+    }
+  }
+
+  return new BuildManifest(manifestPath);
+}
+
+module.exports = {
+  GENERATOR_VERSION,
+  MANIFEST_FILENAME,
+  BuildManifest,
+  loadBuildManifest
+};
@@ -0,0 +1,225 @@
+const { parseArgs } = require('util');
+
+// 🧭 COMMAND-LINE INTERFACE - subcommands and quote/template filters
+const COMMANDS = ['generate', 'list', 'lint', 'assign-ids', 'plan', 'render-one', 'decode', 'help'];
+const VARIANTS = ['clean', 'glitch'];
+const LIST_TARGETS = ['quotes', 'categories', 'templates', 'translations'];
+const TEST_LIMIT = 10;
+
+const OPTIONS = {
+  category: { type: 'string', short: 'c', multiple: true },
+  title: { type: 'string', short: 't', multiple: true },
+  slug: { type: 'string', short: 's', multiple: true },
+  index: { type: 'string', short: 'i' },
+  template: { type: 'string', multiple: true },
+  variant: { type: 'string', short: 'v', multiple: true },
+  limit: { type: 'string', short: 'n' },
+  test: { type: 'boolean', default: false },
+  ae: { type: 'boolean', default: false },
+  full: { type: 'boolean', default: false },
+  concurrency: { type: 'string', short: 'j' },
+  profile: { type: 'string', short: 'p' },
+  config: { type: 'string' },
+  quotes: { type: 'string', short: 'q', multiple: true },
+  format: { type: 'string' },
+  start: { type: 'string' },
+  cadence: { type: 'string' },
+  set: { type: 'string', multiple: true },
+  'batch-size': { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const USAGE = `
+Usage: node generate.js [command] [options]
+
+Commands:
+  generate            Render every matching quote × template (default)
+  list [target]       Print matching quotes, categories, templates or
+                      translations (missing translations per locale)
+  lint                Validate quote files against QUOTES_FORMAT.md and
+                      check matching quotes fit the matching templates
+  assign-ids          Give matching quotes without an \`id\` one, written
+                      back into their quote files
+  plan                Schedule matching quotes as posts, balancing categories,
+                      into schedule.csv and schedule.ics in the output folder
+  render-one          Render the first matching quote only
+  decode <png...>     Read the crypto puzzle message hidden in rendered images
+  help                Show this message
+
+Filters:
+  -c, --category <name>   Category name (case-insensitive substring, repeatable)
+  -t, --title <text>      Quote title (case-insensitive substring, repeatable)
+  -s, --slug <slug>       Quote slug (prefix match, repeatable)
+  -i, --index <range>     1-based quote index or range: 5, 10-20, 10-, -20
+      --template <name>   Template name, e.g. social-01 (repeatable)
+  -v, --variant <name>    clean | glitch (repeatable, default both)
+
+Output:
+  -n, --limit <count>     Stop after rendering <count> assets
+      --test              Shortcut for --limit ${TEST_LIMIT}
+      --ae                Also export After Effects SVGs
+      --full              Wipe output and rebuild everything (default: only
+                          re-render assets whose inputs changed)
+
+Planning:
+      --start <date>      First posting day, YYYY-MM-DD (default: plan.start, then today)
+      --cadence <spec>    daily | weekdays | "every 2 days" | mon,wed,fri
+  -n, --limit <count>     Schedule at most <count> posts
+
+Configuration:
+  -p, --profile <name>    Profile from the config file (draft, production, ...)
+      --config <path>     Config file (default: ./generator.config.yaml)
+      --set <key=value>   Override one config setting (repeatable)
+  -q, --quotes <path>     Read quotes from this file instead of quote_files
+                          (.yaml .json .ndjson .csv .tsv .md; - for stdin;
+                          repeatable)
+      --format <name>     Format of the -q files: yaml | json | ndjson | csv |
+                          tsv | markdown (default: from the extension, guessed
+                          for stdin)
+
+Performance:
+  -j, --concurrency <n>   Render worker threads (default: CPU count, 1 = serial)
+      --batch-size <n>    Jobs in flight per batch (default: CONFIG.BATCH_SIZE)
+`;
+
+// 🔍 Parse argv into { command, target, files, options }, throwing on bad input
+function parseCli(argv = process.argv.slice(2)) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+
+  const command = values.help ? 'help' : (positionals[0] || 'generate');
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Unknown command "${command}" (expected one of: ${COMMANDS.join(', ')})`);
+  }
+
+  const target = command === 'list' ? (positionals[1] || 'quotes') : null;
+  if (target && !LIST_TARGETS.includes(target)) {
+    throw new Error(`Unknown list target "${target}" (expected one of: ${LIST_TARGETS.join(', ')})`);
+  }
+
+  const files = command === 'decode' ? positionals.slice(1) : [];
+  if (command === 'decode' && files.length === 0) {
+    throw new Error('decode needs at least one rendered PNG, e.g. node generate.js decode stories/*.png');
+  }
+
+  const variants = values.variant || VARIANTS;
+  variants.forEach(variant => {
+    if (!VARIANTS.includes(variant)) {
+      throw new Error(`Unknown variant "${variant}" (expected clean or glitch)`);
+    }
+  });
+
+  const limit = values.limit !== undefined
+    ? parsePositiveInt('--limit', values.limit)
+    : (values.test ? TEST_LIMIT : null);
+
+  return {
+    command,
+    target,
+    files,
+    options: {
+      filters: {
+        categories: values.category || [],
+        titles: values.title || [],
+        slugs: values.slug || [],
+        indexRange: values.index !== undefined ? parseIndexRange(values.index) : null,
+        templates: values.template || []
+      },
+      variants: [...new Set(variants)],
+      limit,
+      isTestMode: values.test,
+      exportSvgForAe: values.ae,
+      fullRebuild: values.full,
+      profile: values.profile || null,
+      configPath: values.config || null,
+      set: values.set || [],
+      quoteFiles: values.quotes || [],
+      quoteFormat: values.format || null,
+      plan: {
+        ...(values.start !== undefined ? { start: values.start } : {}),
+        ...(values.cadence !== undefined ? { cadence: values.cadence } : {})
+      },
+      concurrency: values.concurrency !== undefined ? parsePositiveInt('--concurrency', values.concurrency) : null,
+      batchSize: values['batch-size'] !== undefined ? parsePositiveInt('--batch-size', values['batch-size']) : null
+    }
+  };
+}
+
+function parsePositiveInt(flag, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${flag} must be a positive integer, got "${value}"`);
+  }
+  return number;
+}
+
+// 🔢 "5" → [5, 5], "10-20" → [10, 20], "10-" → [10, ∞], "-20" → [1, 20]
+function parseIndexRange(value) {
+  const match = /^\s*(\d*)\s*(-)?\s*(\d*)\s*$/.exec(value);
+  if (!match || (!match[1] && !match[3])) {
+    throw new Error(`--index must be a number or range like 10-20, got "${value}"`);
+  }
+
+  const start = match[1] ? parseInt(match[1], 10) : 1;
+  const end = match[2] ? (match[3] ? parseInt(match[3], 10) : Infinity) : start;
+  if (start < 1 || end < start) {
+    throw new Error(`--index range "${value}" is empty`);
+  }
+
+  return { start, end };
+}
+
+function hasQuoteFilters(filters) {
+  return filters.categories.length > 0 ||
+    filters.titles.length > 0 ||
+    filters.slugs.length > 0 ||
+    filters.indexRange !== null;
+}
+
+const includesAny = (value, needles) =>
+  needles.length === 0 || needles.some(needle => value.toLowerCase().includes(needle.toLowerCase()));
+
+// 🎯 Select quotes, keeping each quote's index in the full corpus for seeding
+function selectQuotes(quotes, filters) {
+  return quotes
+    .map((quote, quoteIndex) => ({ quote, quoteIndex }))
+    .filter(({ quote, quoteIndex }) => {
+      const position = quoteIndex + 1;
+      if (filters.indexRange && (position < filters.indexRange.start || position > filters.indexRange.end)) {
+        return false;
+      }
+      if (!includesAny(quote.category || '', filters.categories)) return false;
+      if (!includesAny(quote.title || '', filters.titles)) return false;
+      if (filters.slugs.length > 0 && !filters.slugs.some(slug => quote.slug.startsWith(slug.toLowerCase()))) {
+        return false;
+      }
+      return true;
+    });
+}
+
+// 🎯 Select templates by exact name (with or without the .svg extension)
+function selectTemplates(templates, filters) {
+  if (filters.templates.length === 0) return templates;
+
+  const wanted = filters.templates.map(name => name.replace(/\.svg$/, ''));
+  const unknown = wanted.filter(name => !templates.some(template => template.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown template(s): ${unknown.join(', ')} (available: ${templates.map(t => t.name).join(', ')})`);
+  }
+
+  return templates.filter(template => wanted.includes(template.name));
+}
+
+function printUsage() {
+  console.log(USAGE);
+}
+
+module.exports = {
+  COMMANDS,
+  VARIANTS,
+  parseCli,
+  parseIndexRange,
+  hasQuoteFilters,
+  selectQuotes,
+  selectTemplates,
+  printUsage
+};
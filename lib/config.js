@@ -0,0 +1,185 @@
+const fs = require('fs');
+const yaml = require('yaml');
+const { defaultConcurrency } = require('./worker-pool');
+
+// ⚙️ GENERATOR CONFIGURATION - defaults, config file profiles and CLI overrides
+const DEFAULT_CONFIG_FILE = './generator.config.yaml';
+
+// Config file keys → CONFIG keys used throughout the generator
+const CONFIG_KEYS = {
+  constellations: 'ENABLE_CONSTELLATIONS',
+  glitch_effects: 'ENABLE_GLITCH_EFFECTS',
+  crypto_puzzle: 'ENABLE_CRYPTO_PUZZLE',
+  puzzle: 'PUZZLE',
+  constellation_patterns: 'CONSTELLATION_PATTERNS',
+  night_sky_labels: 'NIGHT_SKY_LABELS',
+  auto_emphasis: 'AUTO_EMPHASIS',
+  smart_punctuation: 'SMART_PUNCTUATION',
+  balance_lines: 'BALANCE_LINES',
+  hyphenation: 'HYPHENATION',
+  locale_fonts: 'LOCALE_FONTS',
+  ae_export: 'EXPORT_SVG_FOR_AE',
+  templates_dir: 'TEMPLATES_DIR',
+  templates: 'TEMPLATES',
+  fonts_dir: 'FONTS_DIR',
+  quote_files: 'QUOTE_FILES',
+  near_duplicates: 'NEAR_DUPLICATE_THRESHOLD',
+  credit_style: 'CREDIT_STYLE',
+  plan: 'PLAN',
+  output_dir: 'OUTPUT_DIR',
+  svg_export_dir: 'SVG_EXPORT_DIR',
+  high_quality: 'HIGH_QUALITY',
+  batch_size: 'BATCH_SIZE',
+  concurrency: 'CONCURRENCY'
+};
+
+// Counts where 0 or less would stall the render loop - the same rule as the CLI's --batch-size and --concurrency
+const POSITIVE_INTEGER_KEYS = ['batch_size', 'concurrency'];
+
+const DEFAULT_CONFIG = {
+  // Feature toggles
+  ENABLE_CONSTELLATIONS: true,
+  ENABLE_GLITCH_EFFECTS: true,
+  ENABLE_CRYPTO_PUZZLE: true,
+  PUZZLE: {}, // Message hidden in the stars, see lib/crypto-puzzle.js
+  CONSTELLATION_PATTERNS: {}, // Pattern modules and weights, see lib/constellation.js
+  NIGHT_SKY_LABELS: true, // Name the constellation under night_sky figures, see lib/night-sky.js
+  AUTO_EMPHASIS: false, // Highlight the key word of quotes without inline markup
+  SMART_PUNCTUATION: true, // Curly quotes, dashes and ellipses
+  BALANCE_LINES: true, // Even line lengths, no one-word first or last lines
+  HYPHENATION: false, // Hyphenate with the quote's language patterns
+  LOCALE_FONTS: {}, // Per-language font overrides on top of lib/locales.js
+
+  // Export settings
+  EXPORT_SVG_FOR_AE: false,
+
+  // Templates, content and directories
+  TEMPLATES_DIR: './templates',
+  TEMPLATES: ['social-01', 'social-05'], // Empty = every template in TEMPLATES_DIR
+  FONTS_DIR: './fonts',
+  QUOTE_FILES: ['./quotes.yaml', { path: './quotes-FR.yaml', locale: 'fr' }], // Paths or { path, locale, format }; "-" is stdin
+  NEAR_DUPLICATE_THRESHOLD: 0.45, // Similarity (0-1) at which `lint` flags two quotes, see lib/near-duplicates.js
+  CREDIT_STYLE: '— {author}[, {year}]', // Credit line house style, see lib/attribution.js
+  PLAN: {}, // Posting schedule for the `plan` command, see lib/content-plan.js
+  OUTPUT_DIR: './stories',
+  SVG_EXPORT_DIR: './svg-exports',
+
+  // Processing options
+  HIGH_QUALITY: true,
+  BATCH_SIZE: 50, // Process in batches to manage memory
+  CONCURRENCY: defaultConcurrency(), // Render worker threads (1 = in-process)
+
+  // Name of the profile these values came from
+  PROFILE: null
+};
+
+// Translate a block of config file keys into CONFIG keys
+function mapConfigKeys(values, where) {
+  const mapped = {};
+
+  Object.entries(values || {}).forEach(([key, value]) => {
+    const configKey = CONFIG_KEYS[key];
+    if (!configKey) {
+      throw new Error(`Unknown setting "${key}" in ${where} (expected one of: ${Object.keys(CONFIG_KEYS).join(', ')})`);
+    }
+
+    const defaultValue = DEFAULT_CONFIG[configKey];
+    const isList = Array.isArray(defaultValue);
+    const isMap = !isList && typeof defaultValue === 'object';
+    const valid = isList ? Array.isArray(value)
+      : isMap ? Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+      : typeof value === typeof defaultValue;
+    if (!valid) {
+      throw new Error(`Setting "${key}" in ${where} must be ${isList ? 'a list' : isMap ? 'a map' : `a ${typeof defaultValue}`}`);
+    }
+    if (POSITIVE_INTEGER_KEYS.includes(key) && (!Number.isInteger(value) || value < 1)) {
+      throw new Error(`Setting "${key}" in ${where} must be a positive integer, got ${value}`);
+    }
+
+    mapped[configKey] = value;
+  });
+
+  return mapped;
+}
+
+function readConfigFile(configPath) {
+  try {
+    return yaml.parse(fs.readFileSync(configPath, 'utf8')) || {};
+  } catch (error) {
+    throw new Error(`Cannot read config file ${configPath}: ${error.message}`);
+  }
+}
+
+// 🔧 Parse "key=value" overrides, using YAML scalars so true/false/numbers/lists work
+function parseOverrides(pairs = []) {
+  return pairs.reduce((overrides, pair) => {
+    const separator = pair.indexOf('=');
+    if (separator < 1) {
+      throw new Error(`--set expects key=value, got "${pair}"`);
+    }
+    overrides[pair.slice(0, separator).trim()] = yaml.parse(pair.slice(separator + 1));
+    return overrides;
+  }, {});
+}
+
+/**
+ * Resolve the generator configuration
+ * Layers: built-in defaults → config file defaults → profile → CLI overrides
+ *
+ * @param {Object} options
+ * @param {string} [options.configPath] - Config file (default ./generator.config.yaml if present)
+ * @param {string} [options.profile] - Profile name (default: the file's default_profile)
+ * @param {Object} [options.overrides] - Config file keys set from the command line
+ * @returns {Object} Resolved CONFIG object
+ */
+function loadConfig({ configPath, profile, overrides = {} } = {}) {
+  const file = configPath || (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+  if (configPath && !fs.existsSync(configPath)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  const data = file ? readConfigFile(file) : {};
+  const profiles = data.profiles || {};
+  const profileName = profile || data.default_profile || null;
+
+  if (profileName && !profiles[profileName]) {
+    const available = Object.keys(profiles);
+    throw new Error(`Unknown profile "${profileName}"${available.length ? ` (available: ${available.join(', ')})` : ' - no profiles defined'}`);
+  }
+
+  return {
+    ...DEFAULT_CONFIG,
+    ...mapConfigKeys(data.defaults, `${file} defaults`),
+    ...(profileName ? mapConfigKeys(profiles[profileName], `${file} profile "${profileName}"`) : {}),
+    ...mapConfigKeys(overrides, 'command-line overrides'),
+    PROFILE: profileName,
+    CONFIG_FILE: file
+  };
+}
+
+// Lists as "a, b", quote sources as "path (locale)", maps as JSON
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => (item && typeof item === 'object' ? `${item.path} (${item.locale})` : item)).join(', ');
+  }
+  return value && typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+// 📋 Human-readable dump of the resolved configuration
+function describeConfig(config) {
+  const lines = [`⚙️  Configuration: profile ${config.PROFILE || '(none)'} from ${config.CONFIG_FILE || 'built-in defaults'}`];
+
+  Object.entries(CONFIG_KEYS).forEach(([key, configKey]) => {
+    lines.push(`   ${key.padEnd(16)} ${formatValue(config[configKey])}`);
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  CONFIG_KEYS,
+  DEFAULT_CONFIG,
+  loadConfig,
+  parseOverrides,
+  describeConfig
+};
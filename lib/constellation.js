@@ -1,55 +1,152 @@
+const path = require("path");
 const nlp = require("compromise");
 const Chance = require("chance");
 const chroma = require("chroma-js");
 const { DESIGN_CONSTANTS } = require("./design-system");
-const { sophisticatedColorGlitch, createColorOrchestrator } = require("./advanced-color-system");
-const { phi, tau, hashString } = require("./utils");
+const { sophisticatedColorGlitch } = require("./advanced-color-system");
+const { phi, tau, quoteSeed } = require("./utils");
+const { localeSettings, wordsOf } = require("./locales");
+const { generateNightSky } = require("./night-sky");
+const { padZone, insideZones, placeOutside, clipSegment } = require("./exclusion-zones");
+
+// 🌟 CONSTELLATION PATTERN REGISTRY - named star patterns, picked by seeded weight
+//
+// A pattern is { name, weight, capabilities, generate(quote, templateBounds, chance, context) }
+// returning SVG markup. It is only picked where every capability it lists is available:
+//
+//   crypto      the crypto puzzle is on (ENABLE_CRYPTO_PUZZLE)
+//   nlp         the quote's language has English NLP (see lib/locales.js)
+//   ae          After Effects layers are exported
+//   portrait | landscape | square   the template's orientation
+//
+// context.exclusions lists the boxes of the template's text and branding mark; patterns
+// keep their stars and lines out of them with the helpers in lib/exclusion-zones.js.
+//
+// constellation_patterns in generator.config.yaml loads more patterns from local
+// modules (exporting one pattern or a list) and overrides weights per profile and category.
+const PATTERNS = new Map();
+const loadedModules = new Set();
+
+/**
+ * Add a constellation pattern, or replace one with the same name
+ *
+ * @param {Object} pattern - { name, weight, capabilities, generate }
+ */
+function registerConstellationPattern({ name, weight = 10, capabilities = [], generate }) {
+  if (typeof name !== "string" || !name.trim()) throw new Error("A constellation pattern needs a name");
+  if (typeof generate !== "function") throw new Error(`Constellation pattern "${name}" needs a generate function`);
+  if (typeof weight !== "number" || weight < 0) throw new Error(`Constellation pattern "${name}" weight must be a number of 0 or more`);
+  PATTERNS.set(name, { name, weight, capabilities, generate });
+}
+
+// Names of every registered pattern, in registration order
+function constellationPatternNames() {
+  return [...PATTERNS.keys()];
+}
+
+// 📦 Register the patterns of local modules, each loaded once (paths relative to the working directory)
+function loadPatternModules(modules = []) {
+  if (!Array.isArray(modules)) throw new Error("constellation_patterns.modules must be a list of module paths");
+  modules.forEach(modulePath => {
+    const resolved = path.resolve(modulePath);
+    if (loadedModules.has(resolved)) return;
+    let exported;
+    try {
+      exported = require(resolved);
+    } catch (error) {
+      throw new Error(`Cannot load constellation patterns from ${modulePath}: ${error.message.split("\n")[0]}`);
+    }
+    [].concat(exported).forEach(pattern => registerConstellationPattern(pattern));
+    loadedModules.add(resolved);
+  });
+}
+
+// Problems with a constellation_patterns setting - call after loadPatternModules()
+function constellationSettingsProblems(settings = {}) {
+  const known = ["modules", "weights", "categories"];
+  const problems = Object.keys(settings)
+    .filter(key => !known.includes(key))
+    .map(key => `constellation_patterns: unknown key "${key}" (expected: ${known.join(", ")})`);
+  const checkWeights = (weights, where) => Object.entries(weights || {}).forEach(([name, weight]) => {
+    if (!PATTERNS.has(name)) problems.push(`${where}: unknown pattern "${name}" (registered: ${constellationPatternNames().join(", ")})`);
+    else if (typeof weight !== "number" || weight < 0) problems.push(`${where}: weight of ${name} must be a number of 0 or more`);
+  });
+  checkWeights(settings.weights, "constellation_patterns.weights");
+  Object.entries(settings.categories || {}).forEach(([category, weights]) => {
+    checkWeights(weights, `constellation_patterns.categories["${category}"]`);
+  });
+  return problems;
+}
+
+// Capabilities available to a quote's constellation on a template (bounds unknown = no orientation)
+function patternContext(quote, templateBounds, CONFIG, exclusions = []) {
+  const capabilities = new Set();
+  if (CONFIG.ENABLE_CRYPTO_PUZZLE) capabilities.add("crypto");
+  if (localeSettings(quote.locale).nlp) capabilities.add("nlp");
+  if (CONFIG.EXPORT_SVG_FOR_AE) capabilities.add("ae");
+  if (templateBounds) {
+    const { width, height } = templateBounds;
+    capabilities.add(width === height ? "square" : height > width ? "portrait" : "landscape");
+  }
+  return { seed: quoteSeed(quote), config: CONFIG, capabilities, exclusions: exclusions.map(zone => padZone(zone)) };
+}
+
+// A quote's art direction (lib/art-direction.js) can force the pattern; the seeded pick
+// is still drawn so the rest of the pattern stays as it was
+function pickConstellationPattern(chance, quote, context) {
+  const settings = context.config.CONSTELLATION_PATTERNS || {};
+  loadPatternModules(settings.modules);
+  const categoryWeights = (settings.categories || {})[quote.category] || {};
+  const candidates = [...PATTERNS.values()]
+    .map(pattern => ({ pattern, weight: categoryWeights[pattern.name] ?? (settings.weights || {})[pattern.name] ?? pattern.weight }))
+    .filter(({ pattern, weight }) => weight > 0 && pattern.capabilities.every(capability => context.capabilities.has(capability)));
+
+  const picked = candidates.length > 0
+    ? chance.weighted(candidates.map(({ pattern }) => pattern), candidates.map(({ weight }) => weight))
+    : null;
+  const forced = quote.art && quote.art.constellation;
+  return forced ? PATTERNS.get(forced) || null : picked;
+}
+
+// 🏷️ Constellation type a quote will get, without rendering it (null when disabled or none fits)
+function getConstellationType(quote, CONFIG = { ENABLE_CONSTELLATIONS: true }, templateBounds = null) {
+  if (!CONFIG.ENABLE_CONSTELLATIONS) return null;
+  const pattern = pickConstellationPattern(new Chance(quoteSeed(quote)), quote, patternContext(quote, templateBounds, CONFIG));
+  return pattern ? pattern.name : null;
+}
+
+// 🔑 Key word of a quote - its longest noun or adjective over 4 letters (null if none)
+// The crypto puzzle's default message (lib/crypto-puzzle.js), and what AUTO_EMPHASIS highlights in the text.
+// Without English NLP it is simply the longest word (any length in CJK, where words are short)
+function findKeyWord(text, locale = "en") {
+  const settings = localeSettings(locale);
+  const doc = settings.nlp ? nlp(text) : null;
+  const candidates = doc
+    ? [...doc.nouns().out("array"), ...doc.adjectives().out("array")]
+    : wordsOf(text, locale);
+  const minLength = settings.breaking === "characters" ? 1 : 5;
+  const keyWords = candidates
+    .filter(w => w.length >= minLength)
+    .sort((a, b) => b.length - a.length);
+  return keyWords[0] || null;
+}
 
 // 🌌 CONSTELLATION GENERATOR - Sophisticated color-theoretic patterns
-function generateConstellation(quote, templateBounds, CONFIG = { ENABLE_CONSTELLATIONS: true, ENABLE_CRYPTO_PUZZLE: true, EXPORT_SVG_FOR_AE: false }) {
+// exclusions: { x, y, width, height } boxes of text and branding to keep clear of
+function generateConstellation(quote, templateBounds, CONFIG = { ENABLE_CONSTELLATIONS: true, ENABLE_CRYPTO_PUZZLE: true, EXPORT_SVG_FOR_AE: false }, exclusions = []) {
   if (!CONFIG.ENABLE_CONSTELLATIONS) return "";
   
-  const seed = hashString(quote.text);
-  const chance = new Chance(seed);
-  
-  // 🌟 CONSTELLATION TYPE VARIETY - Much more diverse patterns
-  const constellationType = chance.weighted(
-    ['simple_dots', 'golden_spiral', 'random_scatter', 'minimal_lines', 'cluster_pattern', 'arc_pattern'],
-    [25, 20, 20, 15, 10, 10]  // More evenly distributed variety
-  );
-  
-  // Simple dots - just 1px stars, no connections
-  if (constellationType === 'simple_dots') {
-    return generateSimpleDots(quote, templateBounds, chance);
-  }
-  
-  // Random scatter - random positions with minimal connections
-  if (constellationType === 'random_scatter') {
-    return generateRandomScatter(quote, templateBounds, chance);
-  }
-  
-  // Minimal lines - just a few connected stars
-  if (constellationType === 'minimal_lines') {
-    return generateMinimalLines(quote, templateBounds, chance);
-  }
-  
-  // Cluster pattern - stars grouped in clusters
-  if (constellationType === 'cluster_pattern') {
-    return generateClusterPattern(quote, templateBounds, chance);
-  }
-  
-  // Arc pattern - stars arranged in curved patterns
-  if (constellationType === 'arc_pattern') {
-    return generateArcPattern(quote, templateBounds, chance);
-  }
-  
-  // Fall through to original golden spiral for remaining cases
+  const context = patternContext(quote, templateBounds, CONFIG, exclusions);
+  const chance = new Chance(context.seed);
+  const pattern = pickConstellationPattern(chance, quote, context);
+  return pattern ? pattern.generate(quote, templateBounds, chance, context) : "";
+}
+
+// 🌀 Golden spiral - stars on a phi spiral with nearest-neighbour lines
+function generateGoldenSpiral(quote, templateBounds, chance, { seed, config: CONFIG, exclusions }) {
   const wordCount = quote.text.split(" ").length;
   const charCount = quote.text.length;
   
-  // Initialize color orchestrator for this constellation
-  const colorOrchestrator = createColorOrchestrator(seed);
-  
   // Derive everything from golden ratio
   const starCount = Math.floor(wordCount * phi) + 3;
   const connectionThreshold = charCount * phi;
@@ -60,24 +157,6 @@ function generateConstellation(quote, templateBounds, CONFIG = { ENABLE_CONSTELL
   const centerX = templateBounds.width / 2;
   const centerY = templateBounds.height / 2;
   
-  // Crypto star if enabled
-  if (CONFIG.ENABLE_CRYPTO_PUZZLE) {
-    const doc = nlp(quote.text);
-    const keyWords = [...doc.nouns().out("array"), ...doc.adjectives().out("array")]
-      .filter(w => w.length > 4)
-      .sort((a, b) => b.length - a.length);
-    
-    if (keyWords[0]) {
-      const charCode = keyWords[0].charCodeAt(0);
-      stars.push({
-        x: (charCode % templateBounds.width),
-        y: ((charCode * phi) % templateBounds.height),
-        radius: 0.25, // 1px diameter
-        isCrypto: true
-      });
-    }
-  }
-
   // Golden spiral placement
   for (let i = stars.length; i < starCount; i++) {
     const angle = i * tau / phi;
@@ -86,8 +165,8 @@ function generateConstellation(quote, templateBounds, CONFIG = { ENABLE_CONSTELL
     const x = centerX + Math.cos(angle) * radius;
     const y = centerY + Math.sin(angle) * radius;
     
-    // Constrain to bounds
-    if (x > 0 && x < templateBounds.width && y > 0 && y < templateBounds.height) {
+    // Constrain to bounds, outside the text
+    if (x > 0 && x < templateBounds.width && y > 0 && y < templateBounds.height && !insideZones({ x, y }, exclusions)) {
       stars.push({
         x: x,
         y: y,
@@ -101,11 +180,8 @@ function generateConstellation(quote, templateBounds, CONFIG = { ENABLE_CONSTELL
   for (let i = 0; i < stars.length - 1; i++) {
     const dist = Math.hypot(stars[i+1].x - stars[i].x, stars[i+1].y - stars[i].y);
     if (dist < connectionThreshold) {
-      connections.push({
-        x1: stars[i].x,
-        y1: stars[i].y,
-        x2: stars[i+1].x,
-        y2: stars[i+1].y
+      clipSegment(stars[i], stars[i + 1], exclusions).forEach(([from, to]) => {
+        connections.push({ x1: from.x, y1: from.y, x2: to.x, y2: to.y });
       });
     }
   }
@@ -123,30 +199,15 @@ function generateConstellation(quote, templateBounds, CONFIG = { ENABLE_CONSTELL
 
   // Stars with sophisticated color theory + mathematical precision
   stars.forEach((star, i) => {
-    if (star.isCrypto) {
-      // Crypto stars get colors from the master palette + sophisticated enhancement
-      const basePalette = colorOrchestrator.palette;
-      let baseColor = basePalette[i % basePalette.length];
-      
-      // Sometimes use the original accent colors as a base
-      if (chance.bool({ likelihood: 30 })) {
-        const accentColor = chance.bool() ? DESIGN_CONSTANTS.COLORS.accent_orange : DESIGN_CONSTANTS.COLORS.accent_green;
-        baseColor = chroma(accentColor); // Convert to chroma object
-      }
-      
-      const enhancedColor = sophisticatedColorGlitch(baseColor.hex(), seed + i, 25);
-      svg += `\n    <circle cx="${star.x.toFixed(1)}" cy="${star.y.toFixed(1)}" r="${star.radius}" fill="${enhancedColor}"/>`;
-    } else {
-      // Regular stars get subtle mathematical color precision
-      let starColor = DESIGN_CONSTANTS.COLORS.constellation;
-      const baseHex = chroma(starColor).hex();
-      
-      // Apply sophisticated color science with low probability for minimalist aesthetic
-      const enhancedColor = sophisticatedColorGlitch(baseHex, seed + i + 1000, 8); // Only 8% chance
-      const finalColor = chroma(enhancedColor).alpha(0.6).css();
-      
-      svg += `\n    <circle cx="${star.x.toFixed(1)}" cy="${star.y.toFixed(1)}" r="${star.radius}" fill="${finalColor}"/>`;
-    }
+    // Subtle mathematical color precision
+    let starColor = DESIGN_CONSTANTS.COLORS.constellation;
+    const baseHex = chroma(starColor).hex();
+    
+    // Apply sophisticated color science with low probability for minimalist aesthetic
+    const enhancedColor = sophisticatedColorGlitch(baseHex, seed + i + 1000, 8); // Only 8% chance
+    const finalColor = chroma(enhancedColor).alpha(0.6).css();
+    
+    svg += `\n    <circle cx="${star.x.toFixed(1)}" cy="${star.y.toFixed(1)}" r="${star.radius}" fill="${finalColor}"/>`;
   });
 
   svg += "\n  </g>";
@@ -154,13 +215,17 @@ function generateConstellation(quote, templateBounds, CONFIG = { ENABLE_CONSTELL
 }
 
 // 🌟 Simple star dots - classic look
-function generateSimpleDots(quote, templateBounds, chance) {
+function generateSimpleDots(quote, templateBounds, chance, { exclusions }) {
   const starCount = Math.floor(chance.floating({ min: 0.3, max: 0.8 }) * 15) + chance.integer({ min: 3, max: 12 });
   let svg = '\n  <g id="constellation">';
   
   for (let i = 0; i < starCount; i++) {
-    const x = chance.floating({ min: 5, max: templateBounds.width - 5 });
-    const y = chance.floating({ min: 5, max: templateBounds.height - 5 });
+    const star = placeOutside(() => ({
+      x: chance.floating({ min: 5, max: templateBounds.width - 5 }),
+      y: chance.floating({ min: 5, max: templateBounds.height - 5 })
+    }), exclusions);
+    if (!star) continue;
+    const { x, y } = star;
     const radius = 0.25; // Actually 1px diameter (0.5px radius)
     const color = DESIGN_CONSTANTS.COLORS.constellation;
     
@@ -172,13 +237,17 @@ function generateSimpleDots(quote, templateBounds, chance) {
 }
 
 // 🌟 Random scatter - random positions with minimal connections
-function generateRandomScatter(quote, templateBounds, chance) {
+function generateRandomScatter(quote, templateBounds, chance, { exclusions }) {
   const starCount = Math.floor(chance.floating({ min: 0.4, max: 0.7 }) * 20) + 5;
   let svg = '\n  <g id="constellation">';
   
   for (let i = 0; i < starCount; i++) {
-    const x = chance.floating({ min: 10, max: templateBounds.width - 10 });
-    const y = chance.floating({ min: 10, max: templateBounds.height - 10 });
+    const star = placeOutside(() => ({
+      x: chance.floating({ min: 10, max: templateBounds.width - 10 }),
+      y: chance.floating({ min: 10, max: templateBounds.height - 10 })
+    }), exclusions);
+    if (!star) continue;
+    const { x, y } = star;
     const radius = 0.25; // Actually 1px diameter
     const color = DESIGN_CONSTANTS.COLORS.constellation;
     
@@ -190,27 +259,26 @@ function generateRandomScatter(quote, templateBounds, chance) {
 }
 
 // 🌟 Minimal lines - just a few connected stars
-function generateMinimalLines(quote, templateBounds, chance) {
+function generateMinimalLines(quote, templateBounds, chance, { exclusions }) {
   const starCount = chance.integer({ min: 3, max: 8 });
   const stars = [];
   let svg = '\n  <g id="constellation">';
   
   // Generate stars
   for (let i = 0; i < starCount; i++) {
-    const star = {
+    const position = placeOutside(() => ({
       x: chance.floating({ min: 15, max: templateBounds.width - 15 }),
-      y: chance.floating({ min: 15, max: templateBounds.height - 15 }),
-      radius: 0.25 // Always 1px diameter
-    };
-    stars.push(star);
+      y: chance.floating({ min: 15, max: templateBounds.height - 15 })
+    }), exclusions);
+    if (position) stars.push({ ...position, radius: 0.25 }); // Always 1px diameter
   }
   
-  // Draw connections (very minimal)
-  const maxConnections = Math.min(2, starCount - 1);
+  // Draw connections (very minimal), cut where they would cross the text
+  const maxConnections = Math.min(2, stars.length - 1);
   for (let i = 0; i < maxConnections; i++) {
-    const star1 = stars[i];
-    const star2 = stars[i + 1];
-    svg += `\n    <line x1="${star1.x}" y1="${star1.y}" x2="${star2.x}" y2="${star2.y}" stroke="${DESIGN_CONSTANTS.COLORS.constellation_line}" stroke-width="0.2"/>`;
+    clipSegment(stars[i], stars[i + 1], exclusions).forEach(([star1, star2]) => {
+      svg += `\n    <line x1="${star1.x}" y1="${star1.y}" x2="${star2.x}" y2="${star2.y}" stroke="${DESIGN_CONSTANTS.COLORS.constellation_line}" stroke-width="0.2"/>`;
+    });
   }
   
   // Draw stars on top
@@ -223,7 +291,7 @@ function generateMinimalLines(quote, templateBounds, chance) {
 }
 
 // 🌟 Cluster pattern - stars grouped in small clusters
-function generateClusterPattern(quote, templateBounds, chance) {
+function generateClusterPattern(quote, templateBounds, chance, { exclusions }) {
   const clusterCount = chance.integer({ min: 2, max: 4 });
   let svg = '\n  <g id="constellation">';
   
@@ -240,8 +308,8 @@ function generateClusterPattern(quote, templateBounds, chance) {
       const x = centerX + Math.cos(angle) * distance;
       const y = centerY + Math.sin(angle) * distance;
       
-      // Keep within bounds
-      if (x > 5 && x < templateBounds.width - 5 && y > 5 && y < templateBounds.height - 5) {
+      // Keep within bounds, outside the text
+      if (x > 5 && x < templateBounds.width - 5 && y > 5 && y < templateBounds.height - 5 && !insideZones({ x, y }, exclusions)) {
         svg += `\n    <circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="0.5" fill="${DESIGN_CONSTANTS.COLORS.constellation}"/>`;
       }
     }
@@ -252,7 +320,7 @@ function generateClusterPattern(quote, templateBounds, chance) {
 }
 
 // 🌟 Arc pattern - stars arranged in curved patterns
-function generateArcPattern(quote, templateBounds, chance) {
+function generateArcPattern(quote, templateBounds, chance, { exclusions }) {
   const arcCount = chance.integer({ min: 1, max: 3 });
   let svg = '\n  <g id="constellation">';
   
@@ -269,8 +337,8 @@ function generateArcPattern(quote, templateBounds, chance) {
       const x = centerX + Math.cos(angle) * radius;
       const y = centerY + Math.sin(angle) * radius;
       
-      // Keep within bounds
-      if (x > 5 && x < templateBounds.width - 5 && y > 5 && y < templateBounds.height - 5) {
+      // Keep within bounds, outside the text
+      if (x > 5 && x < templateBounds.width - 5 && y > 5 && y < templateBounds.height - 5 && !insideZones({ x, y }, exclusions)) {
         svg += `\n    <circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="0.5" fill="${DESIGN_CONSTANTS.COLORS.constellation}"/>`;
       }
     }
@@ -280,4 +348,22 @@ function generateArcPattern(quote, templateBounds, chance) {
   return svg;
 }
 
-module.exports = { generateConstellation };
\ No newline at end of file
+// Built-in patterns - registration order and weights keep every existing quote's pick
+registerConstellationPattern({ name: "simple_dots", weight: 25, generate: generateSimpleDots });
+registerConstellationPattern({ name: "golden_spiral", weight: 20, generate: generateGoldenSpiral });
+registerConstellationPattern({ name: "random_scatter", weight: 20, generate: generateRandomScatter });
+registerConstellationPattern({ name: "minimal_lines", weight: 15, generate: generateMinimalLines });
+registerConstellationPattern({ name: "cluster_pattern", weight: 10, generate: generateClusterPattern });
+registerConstellationPattern({ name: "arc_pattern", weight: 10, generate: generateArcPattern });
+// Real constellations are opt-in (constellation_patterns weights or art direction)
+registerConstellationPattern({ name: "night_sky", weight: 0, generate: generateNightSky });
+
+module.exports = {
+  registerConstellationPattern,
+  constellationPatternNames,
+  loadPatternModules,
+  constellationSettingsProblems,
+  generateConstellation,
+  getConstellationType,
+  findKeyWord
+};
\ No newline at end of file
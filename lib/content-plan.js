@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const { csvEscape } = require('./asset-manifest');
+
+// 📅 CONTENT PLAN - a posting schedule that spreads categories over time
+//
+//   plan:
+//     start: 2025-09-01            first posting day (default: today)
+//     cadence: mon,wed,fri         daily, weekdays, every 2 days, or day names
+//     time: "09:00"                posting time, local to the calendar
+//     window: 7                    posts within which a category or near-duplicate won't repeat
+//     weights: { Crow Wisdom: 2 }  relative share per category (default 1, 0 leaves it out)
+//     formats: [story, square]     template formats, alternating post by post
+//
+// Categories take turns by weight (smooth weighted round-robin), so a weight-2
+// category posts twice as often, evenly spread rather than in bursts. There is no
+// randomness: the same quotes and settings always give the same schedule.
+const SCHEDULE_BASENAME = 'schedule';
+const DEFAULT_PLAN = {
+  start: null,
+  cadence: 'daily',
+  time: '09:00',
+  window: 7,
+  weights: {},
+  formats: ['story', 'square']
+};
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const POST_MINUTES = 15;
+
+const CSV_COLUMNS = [
+  'date',
+  'time',
+  'category',
+  'quote_title',
+  'quote_text',
+  'quote_id',
+  'locale',
+  'format',
+  'template',
+  'asset',
+  'glitch_asset',
+  'rendered',
+  'credit'
+];
+
+// "2025-09-01" → Date at UTC midnight, or null when it isn't a real day
+function parseDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.toISOString().slice(0, 10) === String(value) ? date : null;
+}
+
+// Cadence → (date → whether to post that day)
+function parseCadence(cadence) {
+  const spec = String(cadence).trim().toLowerCase();
+  if (spec === 'daily') return () => true;
+  if (spec === 'weekdays') return date => date.getUTCDay() >= 1 && date.getUTCDay() <= 5;
+
+  const every = /^every (\d+) days?$/.exec(spec);
+  if (every && Number(every[1]) >= 1) {
+    const step = Number(every[1]);
+    return (date, start) => Math.round((date - start) / 86400000) % step === 0;
+  }
+
+  const days = spec.split(/[\s,]+/).map(day => day.slice(0, 3));
+  if (days.length > 0 && days.every(day => DAY_NAMES.includes(day))) {
+    return date => days.includes(DAY_NAMES[date.getUTCDay()]);
+  }
+  return null;
+}
+
+/**
+ * Resolve and check plan settings
+ *
+ * @param {Object} plan - The `plan` config block, with start/cadence from the command line merged in
+ * @param {string} today - Default start date, YYYY-MM-DD
+ * @returns {Object} Settings with start as a Date and cadence as a day test; throws on bad values
+ */
+function resolvePlan(plan, today) {
+  const unknown = Object.keys(plan).filter(key => !(key in DEFAULT_PLAN));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown plan setting "${unknown[0]}" (expected one of: ${Object.keys(DEFAULT_PLAN).join(', ')})`);
+  }
+
+  const settings = { ...DEFAULT_PLAN, ...plan };
+  const start = parseDate(settings.start || today);
+  if (!start) throw new Error(`plan start must be a date like 2025-09-01, got "${settings.start}"`);
+
+  const postsOn = parseCadence(settings.cadence);
+  if (!postsOn) throw new Error(`plan cadence must be daily, weekdays, "every N days" or day names like mon,wed,fri, got "${settings.cadence}"`);
+
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(String(settings.time))) {
+    throw new Error(`plan time must be HH:MM, got "${settings.time}"`);
+  }
+  if (!Number.isInteger(settings.window) || settings.window < 0) {
+    throw new Error(`plan window must be a whole number of posts, got "${settings.window}"`);
+  }
+  const badWeight = Object.entries(settings.weights || {}).find(([, weight]) => typeof weight !== 'number' || weight < 0);
+  if (badWeight) throw new Error(`plan weight for "${badWeight[0]}" must be a number of 0 or more`);
+  if (!Array.isArray(settings.formats) || settings.formats.length === 0) {
+    throw new Error('plan formats must be a list of template formats, e.g. [story, square]');
+  }
+
+  return { ...settings, weights: settings.weights || {}, start, postsOn };
+}
+
+// The first `count` posting days from the start, as YYYY-MM-DD
+function postingDays(settings, count) {
+  const days = [];
+  for (let date = new Date(settings.start); days.length < count; date = new Date(date.getTime() + 86400000)) {
+    if (settings.postsOn(date, settings.start)) days.push(date.toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+/**
+ * Schedule quotes
+ *
+ * @param {Array} quotes - Quotes to post, in corpus order (translations are left out)
+ * @param {Object} settings - Result of resolvePlan()
+ * @param {Object} helpers
+ * @param {Function} helpers.templatesFor - quote → templates it renders with
+ * @param {Array} [helpers.nearDuplicates] - [{ a, b }] pairs from findNearDuplicates()
+ * @param {number} [helpers.limit] - Most posts to schedule (default: every quote)
+ * @returns {Array} [{ date, time, quote, format, template }] in posting order
+ */
+function planSchedule(quotes, settings, { templatesFor, nearDuplicates = [], limit = null }) {
+  const weightOf = category => settings.weights[category] ?? 1;
+  const queues = new Map();
+  quotes.filter(quote => !quote.original && weightOf(quote.category) > 0).forEach(quote => {
+    if (!queues.has(quote.category)) queues.set(quote.category, []);
+    queues.get(quote.category).push(quote);
+  });
+
+  const alike = new Map();
+  nearDuplicates.forEach(({ a, b }) => {
+    [[a, b], [b, a]].forEach(([quote, other]) => {
+      if (!alike.has(quote)) alike.set(quote, new Set());
+      alike.get(quote).add(other);
+    });
+  });
+
+  const total = [...queues.values()].reduce((sum, queue) => sum + queue.length, 0);
+  const count = limit ? Math.min(limit, total) : total;
+  const credit = new Map([...queues.keys()].map(category => [category, 0]));
+  const recent = [];
+  const picks = [];
+
+  while (picks.length < count) {
+    const active = [...queues.keys()].filter(category => queues.get(category).length > 0);
+    active.forEach(category => credit.set(category, credit.get(category) + weightOf(category)));
+    // Highest credit first; ties go to the category listed first in the corpus
+    const ranked = [...active].sort((a, b) => credit.get(b) - credit.get(a));
+
+    const recentCategories = new Set(recent.map(quote => quote.category));
+    const clashes = quote => recent.some(posted => alike.has(quote) && alike.get(quote).has(posted));
+    const fresh = category => queues.get(category).find(quote => !clashes(quote));
+
+    // Relax the window when it can't be kept: first the category rule, then near-duplicates
+    const category = ranked.find(name => !recentCategories.has(name) && fresh(name))
+      || ranked.find(name => fresh(name))
+      || ranked[0];
+    const quote = fresh(category) || queues.get(category)[0];
+
+    queues.get(category).splice(queues.get(category).indexOf(quote), 1);
+    credit.set(category, credit.get(category) - active.reduce((sum, name) => sum + weightOf(name), 0));
+    recent.push(quote);
+    if (recent.length > settings.window) recent.shift();
+    picks.push(quote);
+  }
+
+  const days = postingDays(settings, picks.length);
+  return picks.map((quote, index) => {
+    // Alternate formats; a quote that can't render the turn's format takes the next one
+    const templates = templatesFor(quote);
+    const formats = settings.formats.map((format, offset) => settings.formats[(index + offset) % settings.formats.length]);
+    const format = formats.find(name => templates.some(template => template.format === name)) || null;
+    const template = templates.find(candidate => candidate.format === format) || null;
+    return { date: days[index], time: settings.time, quote, format, template };
+  });
+}
+
+// iCalendar text: escape \ ; , and newlines
+function icsText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// iCalendar lines are folded at 75 octets, continuation lines start with a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function toIcs(rows) {
+  const stamp = rows.length > 0 ? `${rows[0].date.replace(/-/g, '')}T000000Z` : '19700101T000000Z';
+  const events = rows.flatMap(row => {
+    const start = `${row.date.replace(/-/g, '')}T${row.time.replace(':', '')}00`;
+    const description = [
+      row.quote_text,
+      row.credit,
+      row.asset ? `Asset: ${row.asset}` : 'No template renders this quote in this format',
+      row.template ? `Format: ${row.format} (${row.template})` : null
+    ].filter(Boolean).join('\n');
+
+    return [
+      'BEGIN:VEVENT',
+      // Dates are unique per post, so they make stable ids across re-plans of the same schedule
+      `UID:${row.date}-${row.quote_id || row.slug}@room302.studio`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${start}`,
+      `DURATION:PT${POST_MINUTES}M`,
+      `SUMMARY:${icsText(`[${row.category}] ${row.quote_title}`)}`,
+      `DESCRIPTION:${icsText(description)}`,
+      `CATEGORIES:${icsText(row.category)}`,
+      'END:VEVENT'
+    ];
+  });
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Room 302 Studio//Social Media Generator//EN',
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:Room 302 Studio posts',
+    ...events,
+    'END:VCALENDAR'
+  ].map(foldLine).join('\r\n') + '\r\n';
+}
+
+// 💾 Write schedule.csv and schedule.ics into outputDir; returns the two paths
+function writeSchedule(outputDir, rows) {
+  const csvPath = path.join(outputDir, `${SCHEDULE_BASENAME}.csv`);
+  const icsPath = path.join(outputDir, `${SCHEDULE_BASENAME}.ics`);
+  const csvRows = rows.map(row => CSV_COLUMNS.map(column => csvEscape(row[column])).join(','));
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(csvPath, [CSV_COLUMNS.join(','), ...csvRows].join('\n') + '\n');
+  fs.writeFileSync(icsPath, toIcs(rows));
+
+  return { csvPath, icsPath };
+}
+
+module.exports = {
+  DEFAULT_PLAN,
+  resolvePlan,
+  planSchedule,
+  writeSchedule
+};
@@ -0,0 +1,274 @@
+const sharp = require('sharp');
+const Chance = require('chance');
+const { placeOutside, padZone } = require('./exclusion-zones');
+const { trimKeyWord } = require('./emphasis');
+
+// 🔐 CRYPTO PUZZLE - a short message hidden in the colors of a few stars
+//
+//   puzzle:
+//     message: keyword      keyword (the quote's key word), id (the quote id) or any
+//                           other text, e.g. SPRING-25, as a campaign code
+//     split: 0              characters per post: > 0 spreads a code over a series, post 1
+//                           carrying part 1 and so on (0 = all of it in every post)
+//
+// The key word is the last word of the quote's NLP key phrase ("the main character
+// energy" hides "energy"). A post carries up to 64 bytes; longer ids are cut short.
+//
+// Scheme (version 1). Every puzzle star is a solid dot of one color (R, G, B):
+//
+//   G = 128 + sequence number (0-127)
+//   R = the value at that sequence number
+//   B = (R × 31 + G × 17 + 165) mod 256, a checksum that tells puzzle stars apart
+//
+//   sequence 0      number of message bytes in this post, n
+//   sequence 1      part × 16 + parts, e.g. 0x13 = part 1 of 3 (0x01 = the whole message)
+//   sequence 2…n+1  the message bytes, UTF-8
+//
+// Stars sit anywhere clear of the text (see lib/exclusion-zones.js); order comes from
+// the sequence numbers, not the positions. Star size, margin and spacing are set in
+// export pixels, so stars decode however large the template's viewBox is. SVG renderers round colors (#118145 can come
+// out as #118045), so the stars are stamped pixel by pixel into the finished PNG, after
+// any glitch pass. PNG is lossless, so every pixel of a star keeps its exact color. A
+// color picker and an ASCII table are enough to solve it by hand; `node generate.js
+// decode` does it for you. Reposted copies that were recompressed (JPEG) don't decode.
+const DEFAULT_PUZZLE = { message: 'keyword', split: 0 };
+const MAX_BYTES = 64;
+const MAX_PARTS = 15;
+const STAR_RADIUS = 4; // Export pixels - a solid disc of about 50 pixels
+const STAR_SPACING = [30, 10]; // Clear space between puzzle stars, in export pixels - closer when crowded
+const SEQUENCE_BASE = 128;
+const MARGIN = 60; // Export pixels kept clear along the edges
+
+// Decoding: a star's solid middle is a few to a few hundred pixels, never wider than MAX_SPAN
+const MIN_PIXELS = 3;
+const MAX_PIXELS = 400;
+const MAX_SPAN = 24;
+
+const checksum = (r, g) => (r * 31 + g * 17 + 165) % 256;
+
+// Problems with a puzzle setting
+function puzzleProblems(settings = {}) {
+  const known = Object.keys(DEFAULT_PUZZLE);
+  const problems = Object.keys(settings)
+    .filter(key => !known.includes(key))
+    .map(key => `puzzle: unknown key "${key}" (expected: ${known.join(', ')})`);
+  const { message, split } = { ...DEFAULT_PUZZLE, ...settings };
+
+  if (typeof message !== 'string' || !message.trim()) {
+    problems.push('puzzle.message must be keyword, id or the text of a code');
+    return problems;
+  }
+  const code = !['keyword', 'id'].includes(message);
+  if (!Number.isInteger(split) || split < 0) {
+    problems.push('puzzle.split must be a whole number of characters per post (0 = no split)');
+  } else if (split > 0 && !code) {
+    problems.push(`puzzle.split only applies to a code, not to the ${message} of each quote`);
+  } else if (split > 0) {
+    const chars = [...message];
+    const parts = Math.ceil(chars.length / split);
+    if (parts > MAX_PARTS) problems.push(`puzzle.split of ${split} cuts "${message}" into more than ${MAX_PARTS} parts`);
+    if (Array.from({ length: parts }, (_, i) => chars.slice(i * split, (i + 1) * split).join('')).some(piece => Buffer.byteLength(piece) > MAX_BYTES)) {
+      problems.push(`puzzle.split of ${split} leaves parts longer than ${MAX_BYTES} bytes`);
+    }
+  } else if (code && Buffer.byteLength(message) > MAX_BYTES) {
+    problems.push(`puzzle.message is longer than ${MAX_BYTES} bytes - split it over a series with puzzle.split`);
+  }
+  return problems;
+}
+
+// First whole characters of text that fit in `limit` UTF-8 bytes
+function truncateBytes(text, limit) {
+  let result = '';
+  for (const char of text) {
+    if (Buffer.byteLength(result + char) > limit) break;
+    result += char;
+  }
+  return result;
+}
+
+// One word of a key phrase, trimmed like auto-emphasis: "the main character energy," → "energy"
+function singleWord(keyWord) {
+  return trimKeyWord(keyWord).split(/\s+/).pop();
+}
+
+/**
+ * The message a quote's post carries
+ *
+ * @param {Object} quote - Quote object
+ * @param {Object} settings - The `puzzle` config block
+ * @param {number} position - The quote's 0-based place in the series
+ * @param {Function} keyWordOf - quote → its key word (findKeyWord in lib/constellation.js)
+ * @returns {Object|null} { text, part, parts } (part is 1-based), null when there is nothing to hide
+ */
+function puzzleMessage(quote, settings, position, keyWordOf) {
+  const { message, split } = { ...DEFAULT_PUZZLE, ...settings };
+  const whole = message === 'keyword' ? singleWord(keyWordOf(quote)) : message === 'id' ? quote.id : message;
+  if (!whole) return null;
+
+  const chars = [...String(whole)];
+  if (!split || chars.length <= split) return { text: truncateBytes(chars.join(''), MAX_BYTES), part: 1, parts: 1 };
+
+  const parts = Math.ceil(chars.length / split);
+  const part = position % parts;
+  return { text: truncateBytes(chars.slice(part * split, (part + 1) * split).join(''), MAX_BYTES), part: part + 1, parts };
+}
+
+// Message → [{ r, g, b }], one color per star, in sequence order
+function encodeMessage({ text, part, parts }) {
+  const bytes = [...Buffer.from(text, 'utf8')];
+  return [bytes.length, part * 16 + parts, ...bytes].map((value, sequence) => {
+    const g = SEQUENCE_BASE + sequence;
+    return { r: value, g, b: checksum(value, g) };
+  });
+}
+
+const hex = ({ r, g, b }) => `#${[r, g, b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+
+// Export pixels per viewBox unit
+const pixelScale = templateBounds => templateBounds.exportSize.width / templateBounds.width;
+
+/**
+ * Place a message's stars clear of the text
+ *
+ * @param {Object} message - From puzzleMessage()
+ * @param {Object} templateBounds - Template viewBox width and height
+ * @param {number} seed - The quote's seed
+ * @param {Array} [exclusions] - Text and branding boxes to keep clear of
+ * @returns {Array} [{ x, y, color }] in viewBox units (stars that find no room are left out)
+ */
+function puzzleStars(message, templateBounds, seed, exclusions = []) {
+  const chance = new Chance(`${seed}-puzzle`);
+  const zones = exclusions.map(zone => padZone(zone));
+  const placed = [];
+  const scale = pixelScale(templateBounds);
+  const { x: left = 0, y: top = 0, width, height } = templateBounds;
+  const margin = MARGIN / scale;
+  const draw = () => ({
+    x: chance.floating({ min: left + margin, max: left + width - margin }),
+    y: chance.floating({ min: top + margin, max: top + height - margin })
+  });
+
+  encodeMessage(message).forEach(color => {
+    for (const spacing of STAR_SPACING) {
+      const taken = placed.map(star => padZone({ ...star, width: 0, height: 0 }, spacing / scale));
+      const star = placeOutside(draw, [...zones, ...taken], 60);
+      if (star) {
+        placed.push({ ...star, color });
+        return;
+      }
+    }
+  });
+  return placed;
+}
+
+// <circle> markup of puzzle stars, for the SVG (the PNG gets them from stampPuzzle)
+function puzzleMarkup(stars, templateBounds) {
+  const radius = STAR_RADIUS / pixelScale(templateBounds);
+  return stars
+    .map(({ x, y, color }) => `\n    <circle cx="${x.toFixed(2)}" cy="${y.toFixed(2)}" r="${+radius.toFixed(3)}" fill="${hex(color)}"/>`)
+    .join('');
+}
+
+// 🖌️ Stamp puzzle stars into a finished PNG as solid discs of their exact colors
+async function stampPuzzle(pngBuffer, stars, templateBounds) {
+  const { width, height } = templateBounds.exportSize;
+  const scale = pixelScale(templateBounds);
+  const { x: left = 0, y: top = 0 } = templateBounds;
+  const overlay = Buffer.alloc(width * height * 4);
+
+  stars.forEach(({ x, y, color }) => {
+    const [cx, cy] = [(x - left) * scale, (y - top) * scale];
+    for (let py = Math.floor(cy - STAR_RADIUS); py <= Math.ceil(cy + STAR_RADIUS); py++) {
+      for (let px = Math.floor(cx - STAR_RADIUS); px <= Math.ceil(cx + STAR_RADIUS); px++) {
+        if (px < 0 || py < 0 || px >= width || py >= height) continue;
+        if (Math.hypot(px + 0.5 - cx, py + 0.5 - cy) > STAR_RADIUS) continue;
+        overlay.set([color.r, color.g, color.b, 255], (py * width + px) * 4);
+      }
+    }
+  });
+
+  return sharp(pngBuffer)
+    .composite([{ input: overlay, raw: { width, height, channels: 4 } }])
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Read the puzzle of a rendered image
+ *
+ * @param {Buffer|string} image - PNG buffer or path
+ * @returns {Object|null} { text, part, parts, missing } (missing counts unreadable bytes), null without a puzzle
+ */
+async function decodePuzzle(image) {
+  const { data, info } = await sharp(image).removeAlpha().toColourspace('srgb').raw().toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+  const seen = new Uint8Array(width * height);
+  const found = new Map(); // sequence → [{ value, pixels }]
+
+  for (let start = 0; start < width * height; start++) {
+    if (seen[start]) continue;
+    const [r, g, b] = [data[start * 3], data[start * 3 + 1], data[start * 3 + 2]];
+    if (g < SEQUENCE_BASE || b !== checksum(r, g)) continue;
+
+    // Flood-fill the run of exactly this color
+    const stack = [start];
+    let pixels = 0;
+    let [minX, maxX, minY, maxY] = [width, 0, height, 0];
+    seen[start] = 1;
+    while (stack.length > 0) {
+      const index = stack.pop();
+      const x = index % width;
+      const y = (index - x) / width;
+      pixels++;
+      [minX, maxX, minY, maxY] = [Math.min(minX, x), Math.max(maxX, x), Math.min(minY, y), Math.max(maxY, y)];
+      [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]].forEach(([nx, ny]) => {
+        const next = ny * width + nx;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height || seen[next]) return;
+        if (data[next * 3] !== r || data[next * 3 + 1] !== g || data[next * 3 + 2] !== b) return;
+        seen[next] = 1;
+        stack.push(next);
+      });
+    }
+
+    if (pixels < MIN_PIXELS || pixels > MAX_PIXELS || maxX - minX >= MAX_SPAN || maxY - minY >= MAX_SPAN) continue;
+    const sequence = g - SEQUENCE_BASE;
+    if (!found.has(sequence)) found.set(sequence, []);
+    found.get(sequence).push({ value: r, pixels });
+  }
+
+  // Where stray pixels match a sequence too, the biggest dot wins
+  const valueAt = sequence => {
+    const candidates = found.get(sequence);
+    return candidates ? candidates.reduce((best, next) => (next.pixels > best.pixels ? next : best)).value : null;
+  };
+  const length = valueAt(0);
+  const partInfo = valueAt(1);
+  if (length === null || partInfo === null) return null;
+
+  const bytes = Array.from({ length }, (_, i) => valueAt(i + 2));
+  const missing = bytes.filter(value => value === null).length;
+  const text = missing > 0
+    ? bytes.map(value => (value === null || value > 126 ? '?' : String.fromCharCode(value))).join('')
+    : Buffer.from(bytes).toString('utf8');
+  return { text, part: partInfo >> 4, parts: partInfo & 15, missing };
+}
+
+// The whole message from decoded parts, with "…" for parts not (yet) found
+function joinParts(results) {
+  const parts = Math.max(...results.map(result => result.parts));
+  return Array.from({ length: parts }, (_, i) => {
+    const piece = results.find(result => result.part === i + 1 && result.missing === 0);
+    return piece ? piece.text : '…';
+  }).join('');
+}
+
+module.exports = {
+  DEFAULT_PUZZLE,
+  puzzleProblems,
+  puzzleMessage,
+  puzzleStars,
+  puzzleMarkup,
+  stampPuzzle,
+  decodePuzzle,
+  joinParts
+};
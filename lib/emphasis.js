@@ -0,0 +1,127 @@
+const { DESIGN_CONSTANTS } = require('./design-system');
+
+// ✨ INLINE EMPHASIS - **bold**, _italic_ and ==highlight== inside quote text
+//
+// Markup is parsed into segments of { text, emphasis } that stay intact through
+// wrapping, so an emphasized phrase broken across lines keeps its style on both.
+const EMPHASIS_MARKERS = [
+  { emphasis: 'bold', pattern: /\*\*(.+?)\*\*/ },
+  { emphasis: 'highlight', pattern: /==(.+?)==/ },
+  { emphasis: 'italic', pattern: /(?<![\w])_(.+?)_(?![\w])/ }
+];
+
+// CSS for each emphasis tspan - also used to measure it, see lib/text-metrics.js
+const EMPHASIS_STYLES = {
+  bold: `font-family: IBMPlexSans-Bold, 'IBM Plex Sans'; font-weight: 700; fill: ${DESIGN_CONSTANTS.COLORS.accent_orange}`,
+  italic: 'font-style: italic',
+  highlight: `fill: ${DESIGN_CONSTANTS.COLORS.accent_green}`
+};
+
+// Font-family lists emphasis adds on top of the templates' own
+const EMPHASIS_FONTS = [['IBMPlexSans-Bold', 'IBM Plex Sans']];
+
+/**
+ * Split marked-up text into styled segments
+ * Markers do not nest; unmatched markers stay as literal text
+ *
+ * @param {string} markup - Quote text with inline markup
+ * @returns {Array} [{ text, emphasis }] with emphasis null for plain runs
+ */
+function parseEmphasis(markup) {
+  const segments = [];
+  let rest = markup || '';
+
+  while (rest) {
+    const next = EMPHASIS_MARKERS
+      .map(({ emphasis, pattern }) => ({ emphasis, match: pattern.exec(rest) }))
+      .filter(candidate => candidate.match)
+      .sort((a, b) => a.match.index - b.match.index)[0];
+
+    if (!next) {
+      segments.push({ text: rest, emphasis: null });
+      break;
+    }
+
+    if (next.match.index > 0) segments.push({ text: rest.slice(0, next.match.index), emphasis: null });
+    segments.push({ text: next.match[1], emphasis: next.emphasis });
+    rest = rest.slice(next.match.index + next.match[0].length);
+  }
+
+  return segments;
+}
+
+// Plain text of marked-up text - what seeds, slugs and NLP work from
+function stripEmphasis(markup) {
+  return parseEmphasis(markup).map(segment => segment.text).join('');
+}
+
+function hasEmphasis(markup) {
+  return parseEmphasis(markup).some(segment => segment.emphasis);
+}
+
+// Merge neighbouring segments that share a style
+function mergeSegments(segments) {
+  return segments.reduce((merged, segment) => {
+    const last = merged[merged.length - 1];
+    if (last && last.emphasis === segment.emphasis) {
+      last.text += segment.text;
+    } else if (segment.text) {
+      merged.push({ ...segment });
+    }
+    return merged;
+  }, []);
+}
+
+// 🔪 Words as arrays of segments - "**bold**," is one word with two segments
+// No-break spaces (U+00A0, U+202F) stay inside words
+function splitWords(segments) {
+  const words = [];
+  let current = [];
+
+  segments.forEach(({ text, emphasis }) => {
+    text.split(/([^\S\u00a0\u202f]+)/).forEach(part => {
+      if (!part) return;
+      if (/^[^\S\u00a0\u202f]+$/.test(part)) {
+        if (current.length) words.push(current);
+        current = [];
+      } else {
+        current.push({ text: part, emphasis });
+      }
+    });
+  });
+
+  if (current.length) words.push(current);
+  return words;
+}
+
+// Key word without surrounding punctuation or a leading article: "the open mind," → "open mind"
+function trimKeyWord(keyWord) {
+  return (keyWord || '')
+    .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '')
+    .replace(/^(the|a|an|our|your|its|their|my|his|her)\s+/i, '');
+}
+
+// 🔦 Highlight the first whole-word occurrence of a key word (for quotes without markup)
+// NLP phrases come with punctuation and articles attached ("the world,") - those stay plain.
+// Scripts written without spaces (CJK) match anywhere, as words have no boundaries there
+function autoEmphasize(text, keyWord, { wholeWord = true } = {}) {
+  const phrase = trimKeyWord(keyWord);
+  if (!phrase) return text;
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = wholeWord ? `(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])` : escaped;
+  const match = new RegExp(pattern, 'iu').exec(text);
+  if (!match) return text;
+  return `${text.slice(0, match.index)}==${match[0]}==${text.slice(match.index + match[0].length)}`;
+}
+
+module.exports = {
+  EMPHASIS_STYLES,
+  EMPHASIS_FONTS,
+  parseEmphasis,
+  stripEmphasis,
+  hasEmphasis,
+  mergeSegments,
+  splitWords,
+  trimKeyWord,
+  autoEmphasize
+};
@@ -0,0 +1,110 @@
+// 🚧 EXCLUSION ZONES - areas of a template that constellations keep clear of
+//
+// populateTemplate() collects a box per piece of generated text (title, body, credit...),
+// per <text> the template draws itself (subtitles, rotated side lines) and one for the
+// branding mark, and hands them to every constellation pattern as context.exclusions,
+// padded by ZONE_PADDING. Patterns draw star positions until one lands outside every
+// zone (rejection sampling) and clip their lines at zone edges. Without zones the first
+// draw is always kept, so placement is exactly as before.
+const ZONE_PADDING = 2; // Clear space around text, in viewBox units
+const MAX_TRIES = 30; // Draws before a star is given up
+const MIN_PIECE = 1; // Clipped line pieces shorter than this are dropped
+
+// A zone grown by `padding` on every side
+function padZone({ x, y, width, height }, padding = ZONE_PADDING) {
+  return { x: x - padding, y: y - padding, width: width + padding * 2, height: height + padding * 2 };
+}
+
+function insideZone(point, zone) {
+  return point.x >= zone.x && point.x <= zone.x + zone.width && point.y >= zone.y && point.y <= zone.y + zone.height;
+}
+
+// Whether a point falls inside any zone
+function insideZones(point, zones = []) {
+  return zones.some(zone => insideZone(point, zone));
+}
+
+// Whether a { x, y, width, height } box overlaps any zone
+function overlapsZones(box, zones = []) {
+  return zones.some(zone => box.x < zone.x + zone.width && zone.x < box.x + box.width
+    && box.y < zone.y + zone.height && zone.y < box.y + box.height);
+}
+
+/**
+ * Draw a position outside every zone (rejection sampling)
+ *
+ * @param {Function} draw - () → { x, y }, drawing from the pattern's seeded chance
+ * @param {Array} zones - context.exclusions
+ * @param {number} [tries] - Draws before giving up
+ * @returns {Object|null} The first position outside the zones, or null
+ */
+function placeOutside(draw, zones = [], tries = MAX_TRIES) {
+  for (let i = 0; i < tries; i++) {
+    const point = draw();
+    if (!insideZones(point, zones)) return point;
+  }
+  return null;
+}
+
+// Part of a → b inside a zone, as [tStart, tEnd] along the segment (Liang-Barsky), or null
+function insideInterval(a, b, zone) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  let t0 = 0;
+  let t1 = 1;
+  const edges = [
+    [-dx, a.x - zone.x],
+    [dx, zone.x + zone.width - a.x],
+    [-dy, a.y - zone.y],
+    [dy, zone.y + zone.height - a.y]
+  ];
+  for (const [p, q] of edges) {
+    if (p === 0) {
+      if (q < 0) return null;
+    } else if (p < 0) {
+      t0 = Math.max(t0, q / p);
+    } else {
+      t1 = Math.min(t1, q / p);
+    }
+  }
+  return t0 < t1 ? [t0, t1] : null;
+}
+
+/**
+ * Clip a line so no part of it crosses a zone
+ *
+ * @param {Object} a - Start { x, y }
+ * @param {Object} b - End { x, y }
+ * @param {Array} zones - context.exclusions
+ * @returns {Array} [[from, to]] visible pieces; [[a, b]] when the line is clear
+ */
+function clipSegment(a, b, zones = []) {
+  const hidden = zones
+    .map(zone => insideInterval(a, b, zone))
+    .filter(Boolean)
+    .sort((x, y) => x[0] - y[0]);
+  if (hidden.length === 0) return [[a, b]];
+
+  const at = t => (t === 0 ? a : t === 1 ? b : { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+  const length = Math.hypot(b.x - a.x, b.y - a.y);
+  const pieces = [];
+  let start = 0;
+  hidden.forEach(([from, to]) => {
+    if (from > start) pieces.push([start, from]);
+    start = Math.max(start, to);
+  });
+  if (start < 1) pieces.push([start, 1]);
+
+  return pieces
+    .filter(([from, to]) => (to - from) * length >= MIN_PIECE)
+    .map(([from, to]) => [at(from), at(to)]);
+}
+
+module.exports = {
+  ZONE_PADDING,
+  padZone,
+  insideZones,
+  overlapsZones,
+  placeOutside,
+  clipSegment
+};
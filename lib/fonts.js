@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const opentype = require('opentype.js');
+const { JSDOM } = require('jsdom');
+const { FONT_EXTENSIONS, readClassStyles, textStyle, resolveFontFile, loadFont } = require('./text-metrics');
+
+// 🔠 FONT BUNDLING - the same font files for measuring, rasterizing and exporting
+//
+// Every family a template uses must exist in fonts_dir, or the run stops before
+// rendering. Rendered SVGs carry a glyph subset of each font as an @font-face data
+// URL, so exported SVGs look the same anywhere. librsvg ignores @font-face, so for
+// rasterizing the font directory is also registered with fontconfig.
+const FONTCONFIG_ROOT = path.join(os.tmpdir(), 'room302-fontconfig');
+const MAX_KERNING_PAIRS = 10920; // What one 'kern' subtable's 16-bit length can hold
+
+// 🔍 Font-family lists used by <text> and <tspan> elements, with the characters each draws
+// and the character pairs that sit next to each other (for kerning)
+// A tspan without its own font-family inherits its parent's
+function fontUsage(doc) {
+  const classStyles = readClassStyles(doc);
+  const usage = new Map();
+
+  const visit = (element, inheritedFamilies) => {
+    const own = textStyle(element, classStyles).fontFamilies;
+    const fontFamilies = own.length > 0 ? own : inheritedFamilies;
+    const key = fontFamilies.join(', ');
+    if (!usage.has(key)) usage.set(key, { fontFamilies, characters: new Set(), pairs: new Set() });
+
+    element.childNodes.forEach(node => {
+      if (node.nodeType === node.TEXT_NODE) {
+        const characters = [...node.textContent.trim()];
+        characters.forEach((character, i) => {
+          usage.get(key).characters.add(character);
+          if (i > 0) usage.get(key).pairs.add(characters[i - 1] + character);
+        });
+      } else if (node.nodeName === 'tspan') {
+        visit(node, fontFamilies);
+      }
+    });
+  };
+  doc.querySelectorAll('text').forEach(element => visit(element, []));
+
+  return [...usage.values()].filter(({ characters }) => characters.size > 0);
+}
+
+/**
+ * Check that every font the templates use has a file in fontsDir
+ *
+ * @param {Array} templates - Registry entries with name and content
+ * @param {string} fontsDir - Directory holding the font files
+ * @param {Array} [extraFamilies] - Font-family lists the generator adds itself (e.g. branding)
+ * @returns {Array} Missing fonts: [{ fontFamilies, templates: [name, ...] }]
+ */
+function findMissingFonts(templates, fontsDir, extraFamilies = []) {
+  const missing = new Map();
+  const check = (fontFamilies, templateName) => {
+    if (resolveFontFile(fontFamilies, fontsDir)) return;
+    const key = fontFamilies.join(', ');
+    if (!missing.has(key)) missing.set(key, { fontFamilies, templates: [] });
+    if (templateName) missing.get(key).templates.push(templateName);
+  };
+
+  templates.forEach(template => {
+    const doc = new JSDOM(template.content, { contentType: 'image/svg+xml' }).window.document;
+    fontUsage(doc).forEach(({ fontFamilies }) => check(fontFamilies, template.name));
+  });
+  extraFamilies.forEach(fontFamilies => check(fontFamilies, null));
+
+  return [...missing.values()];
+}
+
+// Legacy 'kern' table (version 0, one format 0 subtable) for [[left, right, value]] glyph pairs
+function kernTable(pairs) {
+  const count = Math.min(pairs.length, MAX_KERNING_PAIRS);
+  const table = Buffer.alloc(18 + count * 6);
+  const power = count > 0 ? 2 ** Math.floor(Math.log2(count)) : 0;
+  table.writeUInt16BE(0, 0); // version
+  table.writeUInt16BE(1, 2); // subtables
+  table.writeUInt16BE(0, 4); // subtable version
+  table.writeUInt16BE(14 + count * 6, 6); // subtable length
+  table.writeUInt16BE(1, 8); // horizontal kerning, format 0
+  table.writeUInt16BE(count, 10);
+  table.writeUInt16BE(power * 6, 12);
+  table.writeUInt16BE(count > 0 ? Math.log2(power) : 0, 14);
+  table.writeUInt16BE(count * 6 - power * 6, 16);
+  [...pairs]
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+    .slice(0, count)
+    .forEach(([left, right, value], i) => {
+      table.writeUInt16BE(left, 18 + i * 6);
+      table.writeUInt16BE(right, 20 + i * 6);
+      table.writeInt16BE(value, 22 + i * 6);
+    });
+  return table;
+}
+
+function tableChecksum(data) {
+  const padded = Buffer.concat([data, Buffer.alloc((4 - data.length % 4) % 4)]);
+  let sum = 0;
+  for (let i = 0; i < padded.length; i += 4) sum = (sum + padded.readUInt32BE(i)) >>> 0;
+  return sum;
+}
+
+// Rebuild an OpenType file with one more table, directory and checksums included
+function addTable(fontData, tag, data) {
+  const tables = new Map();
+  const numTables = fontData.readUInt16BE(4);
+  for (let i = 0; i < numTables; i++) {
+    const entry = 12 + i * 16;
+    const offset = fontData.readUInt32BE(entry + 8);
+    tables.set(fontData.toString('latin1', entry, entry + 4), fontData.subarray(offset, offset + fontData.readUInt32BE(entry + 12)));
+  }
+  tables.set(tag, data);
+
+  const tags = [...tables.keys()].sort();
+  const power = 2 ** Math.floor(Math.log2(tags.length));
+  const header = Buffer.alloc(12 + tags.length * 16);
+  fontData.copy(header, 0, 0, 4);
+  header.writeUInt16BE(tags.length, 4);
+  header.writeUInt16BE(power * 16, 6);
+  header.writeUInt16BE(Math.log2(power), 8);
+  header.writeUInt16BE(tags.length * 16 - power * 16, 10);
+
+  const bodies = [];
+  let offset = header.length;
+  tags.forEach((name, i) => {
+    const body = Buffer.from(tables.get(name));
+    if (name === 'head') body.writeUInt32BE(0, 8); // checkSumAdjustment, set below
+    header.write(name, 12 + i * 16, 'latin1');
+    header.writeUInt32BE(tableChecksum(body), 16 + i * 16);
+    header.writeUInt32BE(offset, 20 + i * 16);
+    header.writeUInt32BE(body.length, 24 + i * 16);
+    const padded = Buffer.concat([body, Buffer.alloc((4 - body.length % 4) % 4)]);
+    bodies.push({ name, offset, padded });
+    offset += padded.length;
+  });
+
+  const font = Buffer.concat([header, ...bodies.map(({ padded }) => padded)]);
+  const head = bodies.find(({ name }) => name === 'head');
+  font.writeUInt32BE((0xB1B0AFBA - tableChecksum(font)) >>> 0, head.offset + 8);
+  return font;
+}
+
+// ✂️ Subset font with .notdef plus the glyphs for the given characters, as OpenType data
+// opentype.js writes no GPOS or kern table, so the pairs the text uses get a 'kern' table -
+// the subset then sets text exactly as measureText() measured it
+function subsetFont(font, familyName, characters, pairs = new Set()) {
+  const glyphs = [font.glyphs.get(0)];
+  const subsetIndex = new Map([[0, 0]]);
+
+  [...characters].sort().forEach(character => {
+    const glyph = font.charToGlyph(character);
+    if (glyph && !subsetIndex.has(glyph.index)) {
+      subsetIndex.set(glyph.index, glyphs.length);
+      glyphs.push(glyph);
+    }
+  });
+
+  const subset = new opentype.Font({
+    familyName,
+    styleName: 'Regular',
+    unitsPerEm: font.unitsPerEm,
+    ascender: font.ascender,
+    descender: font.descender,
+    glyphs
+  });
+  const data = Buffer.from(subset.toArrayBuffer());
+
+  const kerning = [];
+  const seen = new Set();
+  [...pairs].sort().forEach(pair => {
+    const [left, right] = [...pair].map(character => font.charToGlyph(character));
+    const key = `${left.index},${right.index}`;
+    if (seen.has(key) || !subsetIndex.has(left.index) || !subsetIndex.has(right.index)) return;
+    seen.add(key);
+    const value = font.getKerningValue(left, right);
+    if (value) kerning.push([subsetIndex.get(left.index), subsetIndex.get(right.index), value]);
+  });
+  return kerning.length > 0 ? addTable(data, 'kern', kernTable(kerning)) : data;
+}
+
+/**
+ * Embed a glyph subset of every font an SVG uses as @font-face rules
+ * Each rule is named after the font-family the CSS asks for first, so the
+ * template's own font-family lists pick it up unchanged
+ *
+ * @param {string} svgContent - Rendered SVG markup
+ * @param {string} fontsDir - Directory holding the font files
+ * @returns {string} SVG markup with a <style id="embedded-fonts"> block
+ */
+function embedFonts(svgContent, fontsDir) {
+  const dom = new JSDOM(svgContent, { contentType: 'image/svg+xml' });
+  const doc = dom.window.document;
+  const svg = doc.querySelector('svg');
+  const faces = new Map();
+
+  fontUsage(doc).forEach(({ fontFamilies, characters, pairs }) => {
+    const font = loadFont(fontFamilies, fontsDir);
+    const family = fontFamilies[0];
+    if (!faces.has(family)) faces.set(family, { font, characters: new Set(), pairs: new Set() });
+    characters.forEach(character => faces.get(family).characters.add(character));
+    pairs.forEach(pair => faces.get(family).pairs.add(pair));
+  });
+
+  const rules = [...faces.entries()].map(([family, { font, characters, pairs }]) => {
+    const data = subsetFont(font, family, characters, pairs).toString('base64');
+    return `@font-face { font-family: '${family}'; font-weight: 100 900; src: url(data:font/otf;base64,${data}) format('opentype'); }`;
+  });
+
+  const style = doc.createElementNS('http://www.w3.org/2000/svg', 'style');
+  style.setAttribute('id', 'embedded-fonts');
+  style.textContent = rules.join('\n');
+  svg.insertBefore(style, svg.firstChild);
+
+  return dom.serialize();
+}
+
+// 🖨️ Point fontconfig (used by sharp/librsvg) at fontsDir; must run before the first render
+// Each fonts directory gets its own config and cache, so runs with different fonts_dir never mix
+function registerFontsForRasterizing(fontsDir) {
+  const fontconfigDir = path.join(FONTCONFIG_ROOT, crypto.createHash('sha256').update(path.resolve(fontsDir)).digest('hex').slice(0, 16));
+  const cacheDir = path.join(fontconfigDir, 'cache');
+  const configFile = path.join(fontconfigDir, 'fonts.conf');
+  fs.mkdirSync(cacheDir, { recursive: true });
+
+  fs.writeFileSync(configFile, `<?xml version="1.0"?>
+<!DOCTYPE fontconfig SYSTEM "fonts.dtd">
+<fontconfig>
+  <include ignore_missing="yes">/etc/fonts/fonts.conf</include>
+  <dir>${path.resolve(fontsDir)}</dir>
+  <cachedir>${cacheDir}</cachedir>
+</fontconfig>
+`);
+  process.env.FONTCONFIG_FILE = configFile;
+  return configFile;
+}
+
+// 🔑 Content hash of the font files, so replacing a font re-renders incremental builds
+function fontsFingerprint(fontsDir) {
+  if (!fs.existsSync(fontsDir)) return null;
+
+  const hash = crypto.createHash('sha256');
+  fs.readdirSync(fontsDir)
+    .filter(file => FONT_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort()
+    .forEach(file => hash.update(file).update(fs.readFileSync(path.join(fontsDir, file))));
+  return hash.digest('hex').slice(0, 16);
+}
+
+module.exports = {
+  findMissingFonts,
+  embedFonts,
+  registerFontsForRasterizing,
+  fontsFingerprint
+};
@@ -0,0 +1,137 @@
+const { textStyle, parseFontFamilies } = require('./text-metrics');
+
+// 🌍 LOCALES - per-language typesetting, fonts and NLP support
+//
+// Every quote source has a locale (see parseQuotes in lib/utils.js). Settings are
+// looked up by language subtag, so 'fr-CA' uses 'fr'; unknown languages typeset
+// like English but skip the English-only NLP.
+//
+//   direction    'ltr' | 'rtl' - RTL text is right-aligned in its slot
+//   breaking     'words' (at spaces) | 'characters' (CJK, between any two characters)
+//   quotes       [open, close, open single, close single] for smart punctuation
+//   spaceBeforePunctuation  no-break space before ; : ! ? (French)
+//   nlp          compromise part-of-speech tagging works for this language
+//   hyphenation  hyphenation pattern package, see lib/typography.js
+//   fonts        template font-family → font-family with this script's glyphs
+const DEFAULT_LOCALE = 'en';
+
+const BASE_SETTINGS = {
+  direction: 'ltr',
+  breaking: 'words',
+  quotes: ['“', '”', '‘', '’'],
+  spaceBeforePunctuation: false,
+  nlp: false,
+  hyphenation: null,
+  fonts: {}
+};
+
+const LOCALES = {
+  en: { nlp: true, hyphenation: 'hyphenation.en-us' },
+  fr: { quotes: ['«\u00a0', '\u00a0»', '‹\u00a0', '\u00a0›'], spaceBeforePunctuation: true, hyphenation: 'hyphenation.fr' },
+  de: { quotes: ['„', '“', '‚', '‘'] },
+  es: { quotes: ['«', '»', '“', '”'] },
+  it: { quotes: ['«', '»', '“', '”'] },
+  pt: { quotes: ['«', '»', '“', '”'] },
+  ru: { quotes: ['«', '»', '„', '“'] },
+  ja: {
+    breaking: 'characters',
+    quotes: ['「', '」', '『', '』'],
+    fonts: { 'IBMPlexSans-Light': 'IBMPlexSansJP-Light', 'IBMPlexSans-Bold': 'IBMPlexSansJP-Bold' }
+  },
+  zh: {
+    breaking: 'characters',
+    fonts: { 'IBMPlexSans-Light': 'NotoSansSC-Light', 'IBMPlexSans-Bold': 'NotoSansSC-Bold' }
+  },
+  ko: {
+    fonts: { 'IBMPlexSans-Light': 'IBMPlexSansKR-Light', 'IBMPlexSans-Bold': 'IBMPlexSansKR-Bold' }
+  },
+  ar: {
+    direction: 'rtl',
+    quotes: ['«', '»', '‹', '›'],
+    fonts: { 'IBMPlexSans-Light': 'IBMPlexSansArabic-Light', 'IBMPlexSans-Bold': 'IBMPlexSansArabic-Bold' }
+  },
+  he: {
+    direction: 'rtl',
+    fonts: { 'IBMPlexSans-Light': 'IBMPlexSansHebrew-Light', 'IBMPlexSans-Bold': 'IBMPlexSansHebrew-Bold' }
+  }
+};
+
+// 'fr-CA' → 'fr'
+function languageOf(locale) {
+  return String(locale || DEFAULT_LOCALE).toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * Typesetting settings for a locale
+ *
+ * @param {string} [locale] - BCP 47 tag, e.g. 'fr' or 'pt-BR'
+ * @param {Object} [fontOverrides] - LOCALE_FONTS config: { language: { template family: family } }
+ * @returns {Object} Settings as described at the top of this file, plus locale and language
+ */
+function localeSettings(locale = DEFAULT_LOCALE, fontOverrides = {}) {
+  const language = languageOf(locale);
+  const settings = { ...BASE_SETTINGS, ...LOCALES[language] };
+  return {
+    ...settings,
+    locale: locale || DEFAULT_LOCALE,
+    language,
+    fonts: { ...settings.fonts, ...fontOverrides[language] }
+  };
+}
+
+// "A", "B C" → "A, 'B C'"
+function formatFontFamilies(fontFamilies) {
+  return fontFamilies.map(family => (/\s/.test(family) ? `'${family}'` : family)).join(', ');
+}
+
+// Font-family list with the locale's font in front when it replaces the first family
+function localizeFontFamilies(fontFamilies, settings) {
+  const localized = settings.fonts[fontFamilies[0]];
+  return localized ? [localized, ...fontFamilies] : fontFamilies;
+}
+
+// 🔤 Point a text element at the locale's font with an inline style (measuring follows it)
+function localizeElementFont(element, classStyles, settings) {
+  const { fontFamilies } = textStyle(element, classStyles);
+  const localized = localizeFontFamilies(fontFamilies, settings);
+  if (localized !== fontFamilies) {
+    element.style.setProperty('font-family', formatFontFamilies(localized));
+  }
+}
+
+// Emphasis CSS (lib/emphasis.js) with its font-family declarations localized
+function localizeStyles(styles, settings) {
+  return Object.fromEntries(Object.entries(styles).map(([name, style]) => [
+    name,
+    style.replace(/font-family:\s*([^;]+)/, (declaration, value) => {
+      return `font-family: ${formatFontFamilies(localizeFontFamilies(parseFontFamilies(value), settings))}`;
+    })
+  ]));
+}
+
+// Font-family lists a set of locales adds, for the missing-font check
+function localeFontFamilies(locales, fontOverrides = {}) {
+  const families = new Set();
+  locales.forEach(locale => {
+    Object.values(localeSettings(locale, fontOverrides).fonts).forEach(family => families.add(family));
+  });
+  return [...families].map(family => [family]);
+}
+
+// 🔪 Words of a text in any language (Intl.Segmenter) - the NLP fallback
+function wordsOf(text, locale = DEFAULT_LOCALE) {
+  const segmenter = new Intl.Segmenter(locale, { granularity: 'word' });
+  return [...segmenter.segment(text)]
+    .filter(segment => segment.isWordLike)
+    .map(segment => segment.segment);
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  localeSettings,
+  localizeElementFont,
+  localizeStyles,
+  localeFontFamilies,
+  wordsOf
+};
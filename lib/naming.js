@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const path = require('path');
+const { slugify } = require('./utils');
+const { DEFAULT_LOCALE } = require('./locales');
+
+// 🏷️ ASSET NAMING - <template>_<quote-slug>_<hash>.<variant>.<ext>
+// e.g. social-01_give-credit_5c1e0a.clean.png
+const HASH_LENGTH = 6;
+const VARIANT_EXTENSIONS = { clean: 'png', glitch: 'png', svg: 'svg' };
+
+// Translations share an id, so outside the default locale the locale is part of it
+function localizedId(quote) {
+  return quote.locale && quote.locale !== DEFAULT_LOCALE ? `${quote.id} ${quote.locale}` : String(quote.id);
+}
+
+// Stable identity of a quote: its explicit id when it has one, otherwise its text
+function quoteIdentity(quote) {
+  return quote.id ? localizedId(quote) : quote.text;
+}
+
+function shortHash(str, length = HASH_LENGTH) {
+  return crypto.createHash('sha1').update(str).digest('hex').slice(0, length);
+}
+
+// Readable part of the name - the id, or the transliterated title (falling back to text)
+function quoteSlug(quote) {
+  return slugify(quote.id ? localizedId(quote) : (quote.title || quote.text), 40) || 'quote';
+}
+
+function assetBasename(quote, templateName) {
+  return `${templateName}_${quoteSlug(quote)}_${shortHash(quoteIdentity(quote))}`;
+}
+
+function assetFilename(quote, templateName, variant) {
+  const basename = assetBasename(quote, templateName);
+  return variant === VARIANT_EXTENSIONS[variant] ? `${basename}.${variant}` : `${basename}.${variant}.${VARIANT_EXTENSIONS[variant]}`;
+}
+
+/**
+ * Find output paths claimed by more than one quote-template pair
+ *
+ * @param {Array} quotes - Quotes to check
+ * @param {Array} templateNames - Template names each quote renders with
+ * @param {Function} pathFor - (quote, templateName) → output path
+ * @returns {Array} [{ path, quotes: [quote, ...] }] for every collision
+ */
+function findCollisions(quotes, templateNames, pathFor) {
+  const claims = new Map();
+
+  quotes.forEach(quote => {
+    templateNames.forEach(templateName => {
+      const outputPath = path.normalize(pathFor(quote, templateName));
+      if (!claims.has(outputPath)) claims.set(outputPath, []);
+      claims.get(outputPath).push(quote);
+    });
+  });
+
+  return [...claims.entries()]
+    .filter(([, claimants]) => claimants.length > 1)
+    .map(([outputPath, claimants]) => ({ path: outputPath, quotes: claimants }));
+}
+
+module.exports = {
+  quoteIdentity,
+  shortHash,
+  assetBasename,
+  assetFilename,
+  findCollisions
+};
@@ -0,0 +1,98 @@
+const nlp = require('compromise');
+const { localeSettings, wordsOf } = require('./locales');
+
+// 👯 NEAR-DUPLICATES - quotes that say essentially the same thing in other words
+//
+// Each quote becomes a bag of content words from its title and text (English words
+// reduced to their root, so "giving" matches "give" and "tools" matches "tool"), weighted by how rare the word
+// is in the corpus. Pairs in the same language whose weighted bags point the same
+// way (cosine similarity) are reported.
+const DEFAULT_THRESHOLD = 0.45;
+const TITLE_WEIGHT = 2;
+const CONTENT_TAGS = ['Noun', 'Verb', 'Adjective'];
+const FUNCTION_TAGS = ['Pronoun', 'Possessive', 'Copula', 'Auxiliary', 'Modal', 'Determiner'];
+
+// Content words of a text - roots of nouns, verbs and adjectives where English NLP applies
+function contentWords(text, settings) {
+  if (!settings.nlp) {
+    return wordsOf(text, settings.locale)
+      .filter(word => settings.breaking === 'characters' || word.length > 3)
+      .map(word => word.toLowerCase());
+  }
+
+  const doc = nlp(text);
+  doc.nouns().toSingular();
+  doc.compute('root');
+  return doc.json()
+    .flatMap(sentence => sentence.terms)
+    .filter(term => term.tags.some(tag => CONTENT_TAGS.includes(tag)) && !term.tags.some(tag => FUNCTION_TAGS.includes(tag)))
+    .map(term => term.root || term.normal)
+    .filter(word => word.length > 2);
+}
+
+// word → count, title words counting TITLE_WEIGHT times
+function termCounts(quote) {
+  const settings = localeSettings(quote.locale);
+  const counts = new Map();
+  const add = (words, weight) => words.forEach(word => counts.set(word, (counts.get(word) || 0) + weight));
+  add(contentWords(quote.title, settings), TITLE_WEIGHT);
+  add(contentWords(quote.text, settings), 1);
+  return counts;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  a.forEach((weight, word) => {
+    if (b.has(word)) dot += weight * b.get(word);
+  });
+  const norm = vector => Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+  const denominator = norm(a) * norm(b);
+  return denominator > 0 ? dot / denominator : 0;
+}
+
+/**
+ * Pairs of quotes in the same language that say much the same thing
+ * Translations are never compared with their originals (they're in another language)
+ *
+ * @param {Array} quotes - Quotes to compare
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Similarity from 0 (nothing shared) to 1 (same words)
+ * @returns {Array} [{ a, b, similarity, shared }] most similar first; shared lists common words
+ */
+function findNearDuplicates(quotes, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const groups = new Map();
+  quotes.forEach(quote => {
+    const { language } = localeSettings(quote.locale);
+    if (!groups.has(language)) groups.set(language, []);
+    groups.get(language).push({ quote, counts: termCounts(quote) });
+  });
+
+  const pairs = [];
+  groups.forEach(entries => {
+    // Inverse document frequency within the language: rare shared words say more
+    const documentFrequency = new Map();
+    entries.forEach(({ counts }) => counts.forEach((count, word) => {
+      documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1);
+    }));
+    const vectors = entries.map(({ quote, counts }) => ({
+      quote,
+      vector: new Map([...counts].map(([word, count]) => [word, count * Math.log((entries.length + 1) / documentFrequency.get(word))]))
+    }));
+
+    vectors.forEach((a, i) => {
+      vectors.slice(i + 1).forEach(b => {
+        const similarity = cosine(a.vector, b.vector);
+        if (similarity < threshold) return;
+        const shared = [...a.vector.keys()].filter(word => b.vector.has(word));
+        pairs.push({ a: a.quote, b: b.quote, similarity, shared });
+      });
+    });
+  });
+
+  return pairs.sort((x, y) => y.similarity - x.similarity);
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  findNearDuplicates
+};
@@ -0,0 +1,130 @@
+const { DESIGN_CONSTANTS } = require('./design-system');
+const { STAR_CATALOG } = require('./star-catalog');
+const { insideZones, overlapsZones, clipSegment } = require('./exclusion-zones');
+
+// 🔭 NIGHT SKY - a real constellation from lib/star-catalog.js instead of random dots
+//
+// The quote's seed picks the constellation. Its stars are projected onto a plane
+// touching the sky at the figure's centre (gnomonic projection, north up and east
+// left as seen from the ground), scaled into the template and joined by the figure's
+// stick lines. Stars keep the other patterns' 1px dot at the bright end and shrink
+// and fade towards magnitude 5. Of a few seeded placements, the one with the fewest
+// stars on the text is kept; stars still on it are left out and lines are clipped.
+// The label goes under the figure, above it when the text is in the way, or is left out.
+const LABEL_FONT = 'Silkscreen-Regular, Silkscreen';
+const FAINTEST = 5;
+const BRIGHTEST = 0;
+const MARGIN = 0.12; // Of the template's shorter side, kept clear around the figure
+const PLACEMENT_TRIES = 12;
+const LABEL_SIZE = 1.2;
+const LABEL_ADVANCE = LABEL_SIZE * 1.2; // Silkscreen glyph plus .4em letter-spacing
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+// Unit vector of a star from right ascension (hours) and declination (degrees)
+function unitVector(ra, dec) {
+  const alpha = toRadians(ra * 15);
+  const delta = toRadians(dec);
+  return [Math.cos(delta) * Math.cos(alpha), Math.cos(delta) * Math.sin(alpha), Math.sin(delta)];
+}
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const normalize = v => {
+  const length = Math.hypot(...v);
+  return v.map(component => component / length);
+};
+
+// Plane coordinates of every star, x growing west (right) and y growing north
+function project(stars) {
+  const vectors = stars.map(([, ra, dec]) => unitVector(ra, dec));
+  const center = normalize(vectors.reduce((sum, v) => sum.map((component, i) => component + v[i]), [0, 0, 0]));
+  // East and north directions at the centre (the pole is never a figure's centre)
+  const east = normalize([-center[1], center[0], 0]);
+  const north = [
+    center[1] * east[2] - center[2] * east[1],
+    center[2] * east[0] - center[0] * east[2],
+    center[0] * east[1] - center[1] * east[0]
+  ];
+  return vectors.map(v => {
+    const depth = dot(v, center);
+    return { x: -dot(v, east) / depth, y: dot(v, north) / depth };
+  });
+}
+
+// 0 for the faintest stars, 1 for the brightest
+function brightness(magnitude) {
+  return Math.min(1, Math.max(0, (FAINTEST - magnitude) / (FAINTEST - BRIGHTEST)));
+}
+
+/**
+ * Draw a real constellation - a pattern for the registry in lib/constellation.js
+ *
+ * @param {Object} quote - Quote object
+ * @param {Object} templateBounds - Template viewBox width and height
+ * @param {Object} chance - The quote's seeded Chance instance
+ * @param {Object} context - { seed, config, capabilities, exclusions }; config.NIGHT_SKY_LABELS adds the name
+ * @returns {string} SVG markup
+ */
+function generateNightSky(quote, templateBounds, chance, { config, exclusions = [] }) {
+  const constellation = chance.pickone(STAR_CATALOG);
+  const points = project(constellation.stars);
+
+  // Fit the figure into a seeded share of the template, keeping its proportions
+  const { width, height } = templateBounds;
+  const margin = Math.min(width, height) * MARGIN;
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const spanX = Math.max(...xs) - Math.min(...xs) || 1;
+  const spanY = Math.max(...ys) - Math.min(...ys) || 1;
+  const scale = Math.min((width - margin * 2) / spanX, (height - margin * 2) / spanY) * chance.floating({ min: 0.55, max: 0.9 });
+
+  let best = null;
+  for (let attempt = 0; attempt < PLACEMENT_TRIES && !(best && best.covered === 0); attempt++) {
+    const offsetX = chance.floating({ min: margin, max: width - margin - spanX * scale });
+    const offsetY = chance.floating({ min: margin, max: height - margin - spanY * scale });
+    const positions = new Map(constellation.stars.map(([name], i) => [name, {
+      x: offsetX + (points[i].x - Math.min(...xs)) * scale,
+      y: offsetY + (Math.max(...ys) - points[i].y) * scale
+    }]));
+    const covered = [...positions.values()].filter(position => insideZones(position, exclusions)).length;
+    if (!best || covered < best.covered) best = { positions, covered };
+  }
+  const { positions } = best;
+
+  let svg = `\n  <g id="constellation" data-constellation="${constellation.abbr}">`;
+
+  constellation.lines.forEach(([from, to]) => {
+    clipSegment(positions.get(from), positions.get(to), exclusions).forEach(([a, b]) => {
+      svg += `\n    <line x1="${a.x.toFixed(1)}" y1="${a.y.toFixed(1)}" x2="${b.x.toFixed(1)}" y2="${b.y.toFixed(1)}" stroke="${DESIGN_CONSTANTS.COLORS.constellation_line}" stroke-width="0.2"/>`;
+    });
+  });
+
+  constellation.stars.forEach(([name, , , magnitude]) => {
+    const { x, y } = positions.get(name);
+    if (insideZones({ x, y }, exclusions)) return;
+    const light = brightness(magnitude);
+    const radius = 0.25 + light * 0.25;
+    const opacity = 0.4 + light * 0.6;
+    svg += `\n    <circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="${radius.toFixed(2)}" fill="${DESIGN_CONSTANTS.COLORS.constellation}" opacity="${opacity.toFixed(2)}"/>`;
+  });
+
+  if (config.NIGHT_SKY_LABELS) {
+    const label = constellation.name.toUpperCase();
+    const figureYs = [...positions.values()].map(position => position.y);
+    const left = Math.min(...[...positions.values()].map(position => position.x));
+    const labelWidth = label.length * LABEL_ADVANCE;
+    // Baselines under and over the figure
+    const baseline = [Math.max(...figureYs) + 3, Math.min(...figureYs) - 2].find(y => {
+      const box = { x: left, y: y - LABEL_SIZE, width: labelWidth, height: LABEL_SIZE };
+      return box.y > 0 && y < height && !overlapsZones(box, exclusions);
+    });
+    if (baseline !== undefined) {
+      svg += `\n    <text x="${left.toFixed(1)}" y="${baseline.toFixed(1)}" font-family="${LABEL_FONT}" font-size="${LABEL_SIZE}" letter-spacing="0.4em" fill="white" opacity="0.6">${label}</text>`;
+    }
+  }
+
+  svg += '\n  </g>';
+  return svg;
+}
+
+module.exports = { LABEL_FONT, generateNightSky };
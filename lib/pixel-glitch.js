@@ -3,7 +3,8 @@ const Chance = require("chance");
 const winston = require("winston");
 const fs = require("fs");
 const path = require("path");
-const { hashString } = require("./utils");
+const { isMainThread } = require("worker_threads");
+const { hashString, quoteSeed } = require("./utils");
 
 // 📝 Professional logging setup
 const logDir = './logs';
@@ -11,9 +12,9 @@ if (!fs.existsSync(logDir)) {
   fs.mkdirSync(logDir);
 }
 
-// Clear previous log file
+// Clear previous log file (render workers append to the main thread's log)
 const logFile = path.join(logDir, 'glitch-settings.log');
-if (fs.existsSync(logFile)) {
+if (isMainThread && fs.existsSync(logFile)) {
   fs.unlinkSync(logFile);
 }
 
@@ -163,13 +164,69 @@ function getGlitchMix(seed) {
   return mix;
 }
 
-async function applyGlitchEffects(imageBuffer, quote, useMix = false) {
+// 🎲 Seeded glitch decisions for a quote - shared by rendering and the asset manifest
+function planGlitch(quote, useMix = false) {
+  const seed = quoteSeed(quote);
+  const chance = new Chance(seed);
+  
+  // Simplified scale selection
+  const scaleType = chance.weighted(
+    ['macro', 'large', 'medium'], 
+    [50, 40, 10]
+  );
+  
+  let scale, octaves;
+  switch (scaleType) {
+    case 'macro':
+      scale = chance.floating({ min: 0.0001, max: 0.0005 }); // SMALLER values = BIGGER patterns!
+      octaves = chance.integer({ min: 1, max: 2 });
+      break;
+    case 'large':
+      scale = chance.floating({ min: 0.0005, max: 0.002 });  // Still small values for large patterns
+      octaves = chance.integer({ min: 1, max: 2 });
+      break;
+    case 'medium':
+      scale = chance.floating({ min: 0.002, max: 0.008 });   // Medium scale values
+      octaves = chance.integer({ min: 1, max: 2 });
+      break;
+  }
+  
+  // Get glitch mix based on quote - SAFE FALLBACK (no DATA_MOSH!)
+  const mix = useMix ? getGlitchMix(seed) : { 
+    [GLITCH_TYPES.COLOR_SHIFT]: true  // Only use our implemented Perlin-based color effects
+  };
+  
+  // Art direction (lib/art-direction.js) can rule effects out and tone the pass down
+  const art = quote.art || {};
+  (art.exclude_effects || []).forEach(effect => delete mix[effect]);
+  const intensity = art.glitch_intensity ?? 1;
+  
+  const activeEffects = Object.entries(mix)
+    .filter(([_, active]) => active)
+    .map(([effect, _]) => effect);
+  
+  // `chance` continues the same seeded sequence for the effect functions
+  return { seed, chance, scaleType, scale, octaves, mix, activeEffects, intensity };
+}
+
+// 📋 Serializable summary of the glitch pass applyGlitchEffects will run
+function describeGlitch(quote, useMix = false) {
+  const { seed, scaleType, scale, octaves, activeEffects, intensity } = planGlitch(quote, useMix);
+  return { seed, perlin_type: scaleType, perlin_scale: scale, perlin_octaves: octaves, effects: activeEffects, intensity };
+}
+
+async function applyGlitchEffects(imageBuffer, quote, useMix = false, CONFIG = { ENABLE_GLITCH_EFFECTS: true }) {
   // Validate inputs
   if (!Buffer.isBuffer(imageBuffer)) {
     console.warn('⚠️  Invalid imageBuffer input:', typeof imageBuffer);
     throw new Error('imageBuffer must be a Buffer');
   }
   
+  // Glitch effects toggled off by the active profile or the quote's art direction - pass the image through
+  if (!CONFIG.ENABLE_GLITCH_EFFECTS || (quote.art && quote.art.glitch === false)) {
+    return imageBuffer;
+  }
+  
   try {
     const { data, info } = await sharp(imageBuffer)
       .raw()
@@ -177,41 +234,13 @@ async function applyGlitchEffects(imageBuffer, quote, useMix = false) {
 
     const { width, height, channels } = info;
     const pixels = new Uint8Array(data);
-    const seed = hashString(quote.text);
-    const chance = new Chance(seed);
+    const { seed, chance, scaleType, scale, octaves, mix, activeEffects, intensity } = planGlitch(quote, useMix);
+    const original = intensity < 1 ? Uint8Array.from(pixels) : null;
 
     // Generate new noise mask
     const perlin = new PerlinNoise(seed);
-    
-    // Simplified scale selection
-    const scaleType = chance.weighted(
-      ['macro', 'large', 'medium'], 
-      [50, 40, 10]
-    );
-    
-    let scale, octaves;
-    switch (scaleType) {
-      case 'macro':
-        scale = chance.floating({ min: 0.0001, max: 0.0005 }); // SMALLER values = BIGGER patterns!
-        octaves = chance.integer({ min: 1, max: 2 });
-        break;
-      case 'large':
-        scale = chance.floating({ min: 0.0005, max: 0.002 });  // Still small values for large patterns
-        octaves = chance.integer({ min: 1, max: 2 });
-        break;
-      case 'medium':
-        scale = chance.floating({ min: 0.002, max: 0.008 });   // Medium scale values
-        octaves = chance.integer({ min: 1, max: 2 });
-        break;
-    }
-    
     const noiseMask = perlin.generateMask(width, height, scale, octaves);
 
-    // Get glitch mix based on quote - SAFE FALLBACK (no DATA_MOSH!)
-    const mix = useMix ? getGlitchMix(seed) : { 
-      [GLITCH_TYPES.COLOR_SHIFT]: true  // Only use our implemented Perlin-based color effects
-    };
-
     // Apply each effect if selected (with Perlin noise mask)
     if (mix[GLITCH_TYPES.CHANNEL_SHIFT]) {
       applyChannelShift(pixels, width, height, channels, chance, noiseMask);
@@ -248,12 +277,15 @@ async function applyGlitchEffects(imageBuffer, quote, useMix = false) {
     if (mix[GLITCH_TYPES.MIRROR]) {
       applyMirror(pixels, width, height, channels, chance, noiseMask);
     }
+    
+    // Below full intensity the glitched pixels are blended back toward the original
+    if (original) {
+      for (let i = 0; i < pixels.length; i++) {
+        pixels[i] = Math.round(original[i] + (pixels[i] - original[i]) * intensity);
+      }
+    }
 
     // 📊 Collect glitch metadata for debugging
-    const activeEffects = Object.entries(mix)
-      .filter(([_, active]) => active)
-      .map(([effect, _]) => effect);
-    
     const glitchMetadata = {
       seed: seed,
       quote_hash: hashString(quote.text),
@@ -263,12 +295,13 @@ async function applyGlitchEffects(imageBuffer, quote, useMix = false) {
       perlin_type: scaleType,
       active_effects: activeEffects.join(','),
       effect_count: activeEffects.length,
+      intensity,
       use_mix: useMix,
       timestamp: new Date().toISOString()
     };
     
     logger.info('Glitch settings applied', {
-      filename: `${quote.text.slice(0, 30).replace(/[^a-zA-Z0-9]/g, '-')}.glitch.png`,
+      quote_slug: quote.slug,
       ...glitchMetadata
     });
     
@@ -809,6 +842,7 @@ function applyMirror(pixels, width, height, channels, chance, noiseMask) {
 module.exports = { 
   GLITCH_TYPES, 
   getGlitchMix, 
+  describeGlitch,
   applyGlitchEffects,
   PerlinNoise  // Export for shared noise generation
 };
\ No newline at end of file
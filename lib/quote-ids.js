@@ -0,0 +1,82 @@
+const fs = require('fs');
+const yaml = require('yaml');
+const { slugify } = require('./utils');
+const { shortHash } = require('./naming');
+
+// 🪪 QUOTE IDS - stable identities written back into the quote files
+//
+// An id seeds a quote's art and names its files, so neither changes when the text
+// is edited or the file reordered. Ids come from the title ("Give Credit" →
+// give-credit), with -2, -3 … for repeats and a text hash for titles that don't
+// transliterate (CJK, Arabic, Hebrew).
+const MAX_ID_LENGTH = 40;
+
+// An id no quote in the corpus uses yet - in any locale, or it would link as a translation
+function suggestId(quote, taken) {
+  const base = slugify(quote.title, MAX_ID_LENGTH) || `quote-${shortHash(quote.text)}`;
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+/**
+ * New ids for quotes that have none
+ *
+ * @param {Array} quotes - Quotes to assign ids to
+ * @param {Array} corpus - Every parsed quote, whose ids are taken
+ * @returns {Array} [{ quote, id }] in corpus order
+ */
+function assignIds(quotes, corpus) {
+  const taken = new Set(corpus.filter(quote => quote.id !== undefined).map(quote => quote.id));
+
+  return quotes
+    .filter(quote => quote.id === undefined)
+    .map(quote => {
+      const id = suggestId(quote, taken);
+      taken.add(id);
+      return { quote, id };
+    });
+}
+
+/**
+ * Write assigned ids into their YAML quote files, above each quote's title
+ * Comments, quoting and key order are kept; only the id lines are added
+ * Quotes from other formats (CSV, Markdown, stdin …) are left to the caller
+ *
+ * @param {Array} assignments - Result of assignIds(); quotes need source and line
+ * @returns {Array} Paths of the files that changed
+ */
+function writeIds(assignments) {
+  const bySource = new Map();
+  assignments.forEach(({ quote, id }) => {
+    if (!bySource.has(quote.source)) bySource.set(quote.source, new Map());
+    bySource.get(quote.source).set(quote.line, id);
+  });
+
+  bySource.forEach((idsByLine, filePath) => {
+    const lineCounter = new yaml.LineCounter();
+    const doc = yaml.parseDocument(fs.readFileSync(filePath, 'utf8'), { lineCounter });
+
+    // Categories with items, or a flat list of quotes
+    const lists = yaml.isSeq(doc.contents)
+      ? [doc.contents]
+      : doc.get('quotes').items.map(section => (yaml.isMap(section) ? section.get('items') : null));
+
+    lists.filter(yaml.isSeq).forEach(items => {
+      items.items.filter(yaml.isMap).forEach(node => {
+        const id = idsByLine.get(lineCounter.linePos(node.range[0]).line);
+        if (id !== undefined) node.items.unshift(doc.createPair('id', id));
+      });
+    });
+
+    // lineWidth 0 keeps long quotes on one line instead of folding them
+    fs.writeFileSync(filePath, doc.toString({ lineWidth: 0 }));
+  });
+
+  return [...bySource.keys()];
+}
+
+module.exports = {
+  assignIds,
+  writeIds
+};
@@ -0,0 +1,166 @@
+const { localeSettings } = require('./locales');
+const { ATTRIBUTION_FIELDS, attributionProblems } = require('./attribution');
+
+// 🔍 QUOTE LINT - schema validation and the style rules from QUOTES_FORMAT.md
+//
+// Issues are { severity: 'error' | 'warning', rule, file, line, message }. Errors
+// are quotes that cannot render (and are left out); warnings are style rules.
+const QUOTE_FIELDS = ['id', 'title', 'text', ...ATTRIBUTION_FIELDS, 'art'];
+const TITLE_WORDS = { min: 2, max: 3 };
+const BODY_WORDS = { min: 8, max: 15 };
+
+// Control characters break the SVG (XML 1.0 forbids them), zero-width characters
+// and U+FFFD are invisible or mangled copy-paste
+const FORBIDDEN_CHARACTERS = /[\u0000-\u0009\u000b-\u001f\u007f\u200b-\u200d\u2060\ufeff\ufffd]/u;
+const QUOTATION_MARKS = /["\u201c\u201d\u201e\u00ab\u00bb\u300c\u300d\u300e\u300f]/u;
+
+function issue(severity, rule, file, line, message) {
+  return { severity, rule, file, line, message };
+}
+
+// Issue at a parsed quote's location
+function quoteIssue(quote, severity, rule, message) {
+  return issue(severity, rule, quote.source, quote.line, message);
+}
+
+// "U+200B" for a character
+function codePoint(character) {
+  return `U+${character.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+function nonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+const isPlainMap = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// 🎬 Issues for an `art` block (see lib/art-direction.js); true when it has errors
+function checkArt(art, validateArt, issues, file, line) {
+  if (!isPlainMap(art)) {
+    issues.push(issue('error', 'art-direction', file, line, '`art` must be a map of art direction settings'));
+    return true;
+  }
+  const problems = validateArt ? validateArt(art) : [];
+  problems.forEach(({ severity, message }) => issues.push(issue(severity, 'art-direction', file, line, message)));
+  return problems.some(problem => problem.severity === 'error');
+}
+
+/**
+ * Check the entries a quote source reader found (see lib/quote-sources.js)
+ * Entries with errors are reported and left out
+ *
+ * @param {Array} entries - [{ category, categoryArt, categoryLine, item, line }]
+ * @param {string} file - Source path, for issue locations
+ * @param {Object} [options]
+ * @param {Function} [options.validateArt] - art block → [{ severity, message }], see lib/art-direction.js
+ * @returns {Object} { entries, issues } - the entries without errors
+ */
+function checkEntries(entries, file, { validateArt = null } = {}) {
+  const issues = [];
+  const categoryArtErrors = new Map();
+
+  const valid = entries.filter(({ category, categoryArt, categoryLine, item, line }) => {
+    // A category's art is checked once, where it is declared
+    if (categoryArt) {
+      if (!categoryArtErrors.has(categoryArt)) {
+        categoryArtErrors.set(categoryArt, checkArt(categoryArt, validateArt, issues, file, categoryLine));
+      }
+      if (categoryArtErrors.get(categoryArt)) return false;
+    }
+
+    const problems = ['title', 'text'].filter(field => !nonEmptyString(item[field]));
+    problems.forEach(field => {
+      issues.push(issue('error', 'missing-field', file, line, `Quote ${item[field] === undefined ? 'has no' : 'has an empty or non-text'} \`${field}\``));
+    });
+    if (!nonEmptyString(category)) {
+      issues.push(issue('error', 'missing-field', file, line, 'Quote has no category'));
+      problems.push('category');
+    }
+    if (item.id !== undefined && (item.id === null || typeof item.id === 'object')) {
+      issues.push(issue('error', 'schema', file, line, '`id` must be a single word or number'));
+      problems.push('id');
+    }
+    attributionProblems(item).forEach(({ severity, message }) => {
+      issues.push(issue(severity, 'attribution', file, line, message));
+      if (severity === 'error') problems.push('attribution');
+    });
+    Object.keys(item).filter(key => !QUOTE_FIELDS.includes(key)).forEach(key => {
+      issues.push(issue('warning', 'unknown-field', file, line, `Unknown field \`${key}\` (expected: ${QUOTE_FIELDS.join(', ')})`));
+    });
+    if (item.art !== undefined && checkArt(item.art, validateArt, issues, file, line)) problems.push('art');
+
+    return problems.length === 0;
+  });
+
+  return { entries: valid, issues };
+}
+
+function countWords(text) {
+  return text.trim().split(/\s+/).filter(Boolean).length;
+}
+
+// 📏 Style rules for one parsed quote (needs quote.source and quote.line)
+function lintQuote(quote) {
+  const issues = [];
+  const at = (severity, rule, message) => issues.push(quoteIssue(quote, severity, rule, message));
+
+  [['title', quote.title], ['text', quote.markup || quote.text]].forEach(([field, value]) => {
+    const forbidden = FORBIDDEN_CHARACTERS.exec(value);
+    if (forbidden) at('error', 'forbidden-character', `\`${field}\` contains ${codePoint(forbidden[0])}, which cannot be rendered`);
+    if (QUOTATION_MARKS.test(value)) at('warning', 'quotation-marks', `\`${field}\` contains quotation marks (added automatically in display)`);
+  });
+
+  // Word counts mean nothing in scripts written without spaces
+  if (localeSettings(quote.locale).breaking === 'words') {
+    const titleWords = countWords(quote.title);
+    if (titleWords < TITLE_WORDS.min || titleWords > TITLE_WORDS.max) {
+      at('warning', 'title-words', `Title "${quote.title}" has ${titleWords} word${titleWords === 1 ? '' : 's'} (${TITLE_WORDS.min}-${TITLE_WORDS.max} read best)`);
+    }
+    const bodyWords = countWords(quote.text);
+    if (bodyWords < BODY_WORDS.min || bodyWords > BODY_WORDS.max) {
+      at('warning', 'body-words', `"${quote.title}" has ${bodyWords} word${bodyWords === 1 ? '' : 's'} (${BODY_WORDS.min}-${BODY_WORDS.max} read best)`);
+    }
+  }
+
+  return issues;
+}
+
+// 👯 Titles used twice in one locale - translations may repeat a title across locales
+function lintCorpus(quotes) {
+  const seen = new Map();
+  const issues = [];
+
+  quotes.forEach(quote => {
+    const key = `${localeSettings(quote.locale).language}|${quote.title.trim().toLowerCase()}`;
+    const first = seen.get(key);
+    if (first) {
+      issues.push(quoteIssue(quote, 'warning', 'duplicate-title', `Duplicate title "${quote.title}" (also ${first.source}:${first.line})`));
+    } else {
+      seen.set(key, quote);
+    }
+  });
+
+  return issues;
+}
+
+// "quotes.yaml:12  ⚠️  message"
+function formatIssue({ severity, file, line, message }) {
+  return `${file}:${line}  ${severity === 'error' ? '❌' : '⚠️ '} ${message}`;
+}
+
+// Issues sorted by file and line, errors before warnings on the same line
+function sortIssues(issues) {
+  return [...issues].sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.severity.localeCompare(b.severity));
+}
+
+module.exports = {
+  TITLE_WORDS,
+  BODY_WORDS,
+  issue,
+  quoteIssue,
+  checkEntries,
+  lintQuote,
+  lintCorpus,
+  formatIssue,
+  sortIssues
+};
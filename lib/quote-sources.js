@@ -0,0 +1,388 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+const { issue } = require('./quote-lint');
+const { ATTRIBUTION_FIELDS } = require('./attribution');
+
+// 📥 QUOTE SOURCES - readers that turn quote files of any format into entries
+//
+// A reader takes (content, file) and returns { entries, locale, issues }, where each
+// entry is { category, categoryArt, categoryLine, item: { id, title, text, art }, line }
+// with 1-based source lines. parseQuotes (lib/utils.js) checks and normalizes entries
+// the same way whatever the format, so error messages always point into the source.
+//
+//   yaml      quotes.yaml shape (QUOTES_FORMAT.md), or a flat list of quotes with `category`
+//   json      the same shapes as JSON
+//   ndjson    one JSON quote per line: {"category": …, "title": …, "text": …}
+//   csv/tsv   header row with title, text and category columns (id and attribution optional)
+//   markdown  ## Category headings, ### Title headings or - **Title** list items, and
+//             optional front matter with locale, category and art
+//
+// A source is read from stdin when its path is "-".
+const STDIN = '-';
+const STDIN_LABEL = '<stdin>';
+const DELIMITED_COLUMNS = ['id', 'title', 'text', 'category', ...ATTRIBUTION_FIELDS];
+
+const FORMATS = {};
+const EXTENSIONS = {};
+
+/**
+ * Add a quote source format
+ *
+ * @param {string} name - Format name, usable as a quote_files entry's `format`
+ * @param {Function} reader - (content, file) → { entries, locale, issues }
+ * @param {Array} [extensions] - File extensions that use this format, e.g. ['.csv']
+ */
+function registerSourceFormat(name, reader, extensions = []) {
+  FORMATS[name] = reader;
+  extensions.forEach(extension => { EXTENSIONS[extension.toLowerCase()] = name; });
+}
+
+// 🧾 YAML (and JSON, which YAML parses with positions)
+function readYaml(content, file) {
+  const lineCounter = new yaml.LineCounter();
+  const doc = yaml.parseDocument(content, { lineCounter });
+  const lineOf = node => (node && node.range ? lineCounter.linePos(node.range[0]).line : 1);
+  const issues = [];
+  const entries = [];
+
+  if (doc.errors.length > 0) {
+    doc.errors.forEach(error => {
+      const line = error.linePos ? error.linePos[0].line : 1;
+      issues.push(issue('error', 'syntax', file, line, error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '')));
+    });
+    return { entries, locale: null, issues };
+  }
+
+  const root = doc.contents;
+  const itemOf = node => {
+    if (yaml.isMap(node)) return node.toJSON();
+    issues.push(issue('error', 'schema', file, lineOf(node), 'Expected a quote with `title:` and `text:`'));
+    return null;
+  };
+
+  // Flat list: every quote names its own category
+  if (yaml.isSeq(root)) {
+    root.items.forEach(node => {
+      const item = itemOf(node);
+      if (!item) return;
+      const { category, ...fields } = item;
+      entries.push({ category, categoryArt: null, categoryLine: lineOf(node), item: fields, line: lineOf(node) });
+    });
+    return { entries, locale: null, issues };
+  }
+
+  const sections = yaml.isMap(root) ? root.get('quotes', true) : null;
+  if (!yaml.isSeq(sections)) {
+    issues.push(issue('error', 'schema', file, lineOf(sections || root), 'Expected a top-level `quotes:` list of categories'));
+    return { entries, locale: null, issues };
+  }
+
+  const locale = root.get('locale');
+  if (locale !== undefined && (typeof locale !== 'string' || !locale.trim())) {
+    issues.push(issue('error', 'schema', file, lineOf(root.get('locale', true)), '`locale` must be a language tag such as fr'));
+  }
+
+  sections.items.forEach(section => {
+    if (!yaml.isMap(section)) {
+      issues.push(issue('error', 'schema', file, lineOf(section), 'Expected a category with `category:` and `items:`'));
+      return;
+    }
+
+    const category = section.get('category');
+    if (typeof category !== 'string' || !category.trim()) {
+      issues.push(issue('error', 'missing-field', file, lineOf(section), 'Category has no `category:` name'));
+      return;
+    }
+
+    const items = section.get('items', true);
+    if (!yaml.isSeq(items)) {
+      issues.push(issue('error', 'schema', file, lineOf(items || section), `Category "${category}" has no \`items:\` list`));
+      return;
+    }
+    if (items.items.length === 0) {
+      issues.push(issue('warning', 'empty-category', file, lineOf(section), `Category "${category}" has no quotes`));
+    }
+
+    const artNode = section.get('art', true);
+    const categoryArt = artNode ? artNode.toJSON() : null;
+    items.items.forEach(node => {
+      const item = itemOf(node);
+      if (item) entries.push({ category, categoryArt, categoryLine: lineOf(artNode), item, line: lineOf(node) });
+    });
+  });
+
+  return { entries, locale: typeof locale === 'string' && locale.trim() ? locale : null, issues };
+}
+
+// 📄 NDJSON - one quote object per line
+function readNdjson(content, file) {
+  const entries = [];
+  const issues = [];
+
+  content.split(/\r?\n/).forEach((text, index) => {
+    if (!text.trim()) return;
+    const line = index + 1;
+    let item;
+    try {
+      item = JSON.parse(text);
+    } catch (error) {
+      issues.push(issue('error', 'syntax', file, line, `Invalid JSON: ${error.message}`));
+      return;
+    }
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      issues.push(issue('error', 'schema', file, line, 'Expected a quote object with title and text'));
+      return;
+    }
+    const { category, ...fields } = item;
+    entries.push({ category, categoryArt: null, categoryLine: line, item: fields, line });
+  });
+
+  return { entries, locale: null, issues };
+}
+
+// RFC 4180 records with the line each starts on - quoted fields may hold delimiters,
+// doubled quotes and line breaks
+function parseDelimited(content, delimiter) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => { fields.push(field); field = ''; };
+  const endRecord = () => {
+    endField();
+    if (fields.some(value => value.trim())) records.push({ line: recordLine, fields });
+    fields = [];
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && !field.trim()) {
+      quoted = true;
+      field = '';
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  endRecord();
+
+  return { records, unterminated: quoted ? recordLine : null };
+}
+
+// 📊 CSV and TSV - a header row names the columns
+function delimitedReader(delimiter) {
+  return (content, file) => {
+    const issues = [];
+    const { records, unterminated } = parseDelimited(content, delimiter);
+    if (unterminated) {
+      issues.push(issue('error', 'syntax', file, unterminated, 'Quoted field is never closed'));
+      return { entries: [], locale: null, issues };
+    }
+    if (records.length === 0) return { entries: [], locale: null, issues };
+
+    const [header, ...rows] = records;
+    const columns = header.fields.map(name => name.trim().toLowerCase());
+    const missing = ['title', 'text', 'category'].filter(name => !columns.includes(name));
+    if (missing.length > 0) {
+      issues.push(issue('error', 'schema', file, header.line, `Header row has no ${missing.join(', ')} column (found: ${columns.join(', ')})`));
+      return { entries: [], locale: null, issues };
+    }
+    columns.filter(name => !DELIMITED_COLUMNS.includes(name)).forEach(name => {
+      issues.push(issue('warning', 'unknown-field', file, header.line, `Column "${name}" is ignored (expected: ${DELIMITED_COLUMNS.join(', ')})`));
+    });
+
+    const entries = rows.map(({ line, fields }) => {
+      const item = {};
+      let category;
+      columns.forEach((name, index) => {
+        const value = (fields[index] || '').trim();
+        if (name === 'category') category = value;
+        // Empty optional cells are absent fields; an empty title or text is an error
+        else if (DELIMITED_COLUMNS.includes(name) && (value || ['title', 'text'].includes(name))) item[name] = value;
+      });
+      return { category, categoryArt: null, categoryLine: line, item, line };
+    });
+
+    return { entries, locale: null, issues };
+  };
+}
+
+// 📝 Markdown - front matter, category headings, and quotes as headings or list items
+//
+//   ---
+//   locale: fr          optional: locale, default category, art for every quote
+//   ---
+//   ## Core Philosophy
+//   ### Give Credit {#give-credit}
+//   Give credit, take blame. Period.
+//   — Ada Lovelace              optional: the quote's author
+//
+//   - **Credit Everyone**: Great work happens when everyone gets credit.
+function readMarkdown(content, file) {
+  const lines = content.split(/\r?\n/);
+  const issues = [];
+  const entries = [];
+  let front = {};
+  let start = 0;
+
+  if (lines[0].trim() === '---') {
+    const end = lines.findIndex((text, index) => index > 0 && text.trim() === '---');
+    if (end < 0) {
+      issues.push(issue('error', 'syntax', file, 1, 'Front matter is never closed with ---'));
+      return { entries, locale: null, issues };
+    }
+    const doc = yaml.parseDocument(lines.slice(1, end).join('\n'));
+    if (doc.errors.length > 0) {
+      const line = doc.errors[0].linePos ? doc.errors[0].linePos[0].line + 1 : 1;
+      issues.push(issue('error', 'syntax', file, line, `Front matter: ${doc.errors[0].message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '')}`));
+      return { entries, locale: null, issues };
+    }
+    front = doc.toJSON() || {};
+    start = end + 1;
+  }
+
+  const categoryArt = front.art === undefined ? null : front.art;
+  let category = front.category;
+  let current = null;
+
+  const finish = () => {
+    if (!current) return;
+    current.item.text = current.text.join(' ').trim();
+    entries.push({ category: current.category, categoryArt, categoryLine: 1, item: current.item, line: current.line });
+    current = null;
+  };
+
+  // "Give Credit {#give-credit}" → { title, id }
+  const titled = (text, line) => {
+    const match = /^(.*?)\s*\{#([^}\s]+)\}$/.exec(text.trim());
+    const item = match ? { id: match[2], title: match[1] } : { title: text.trim() };
+    return { item, line, category, text: [] };
+  };
+
+  lines.slice(start).forEach((text, index) => {
+    const line = start + index + 1;
+    const heading = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(text);
+    const listItem = /^\s*[-*+]\s+\*\*(.+?)\*\*\s*[:—–-]?\s*(.*)$/.exec(text);
+
+    if (heading) {
+      finish();
+      const level = heading[1].length;
+      if (level === 2) category = heading[2];
+      if (level >= 3) current = titled(heading[2], line);
+      // Level 1 is the document's own title
+    } else if (listItem) {
+      finish();
+      current = titled(listItem[1], line);
+      if (listItem[2]) current.text.push(listItem[2]);
+    } else if (!text.trim()) {
+      if (current && current.text.length > 0) finish();
+    } else if (current && current.text.length > 0 && /^(—|--)\s*\S/.test(text.trim())) {
+      current.item.author = text.trim().replace(/^(—|--)\s*/, '');
+    } else if (current) {
+      current.text.push(text.trim().replace(/^>\s?/, ''));
+    } else {
+      issues.push(issue('warning', 'stray-text', file, line, 'Text outside a quote is ignored (quotes start with ### Title or - **Title**)'));
+    }
+  });
+  finish();
+
+  return { entries, locale: typeof front.locale === 'string' ? front.locale : null, issues };
+}
+
+registerSourceFormat('yaml', readYaml, ['.yaml', '.yml']);
+registerSourceFormat('json', readYaml, ['.json']);
+registerSourceFormat('ndjson', readNdjson, ['.ndjson', '.jsonl']);
+registerSourceFormat('csv', delimitedReader(','), ['.csv']);
+registerSourceFormat('tsv', delimitedReader('\t'), ['.tsv', '.tab']);
+registerSourceFormat('markdown', readMarkdown, ['.md', '.markdown']);
+
+// Whether parsed YAML has a shape readYaml takes: a `quotes:` (or `locale:`) map or a list of quotes
+function isYamlQuotes(data) {
+  const isMap = item => Boolean(item) && typeof item === 'object' && !Array.isArray(item);
+  return Array.isArray(data) ? data.length > 0 && data.every(isMap) : isMap(data) && ('quotes' in data || 'locale' in data);
+}
+
+// 🔎 Format of content without a file extension (stdin)
+// YAML is tried before Markdown, so a `# comment` above the quotes isn't taken for a heading
+function sniffFormat(content) {
+  const start = content.trimStart();
+  const firstLine = start.split(/\r?\n/)[0];
+  if (start.startsWith('[')) return 'json';
+  if (start.startsWith('{')) return /\}\s*\n\s*\{/.test(start) ? 'ndjson' : 'json';
+  try {
+    if (isYamlQuotes(yaml.parse(start))) return 'yaml';
+  } catch (error) {
+    // Not a single YAML document - front matter, a table or broken YAML
+  }
+
+  // YAML with syntax errors still goes to the YAML reader, which reports them by line
+  const uncommented = start.replace(/^(#[^\n]*\n\s*)+/, '');
+  if (/^(locale|quotes)\s*:|^-\s+(id|title|text|category)\s*:/.test(uncommented)) return 'yaml';
+  if (firstLine.trim() === '---' || /^#{1,6}\s/.test(firstLine)) return 'markdown';
+  return firstLine.includes('\t') ? 'tsv' : 'csv';
+}
+
+// Quote sources are paths or { path, locale, format } entries
+function normalizeSource(entry) {
+  return typeof entry === 'string'
+    ? { path: entry, locale: null, format: null }
+    : { path: entry.path, locale: entry.locale || null, format: entry.format || null };
+}
+
+/**
+ * Read one quote source
+ *
+ * @param {string|Object} entry - Path or { path, locale, format }; "-" reads stdin
+ * @returns {Object|null} { file, format, entries, locale, issues }, null for a missing file
+ */
+function readQuoteSource(entry) {
+  const source = normalizeSource(entry);
+  const fromStdin = source.path === STDIN;
+  if (!fromStdin && !fs.existsSync(source.path)) return null;
+
+  const file = fromStdin ? STDIN_LABEL : source.path;
+  const content = fs.readFileSync(fromStdin ? 0 : source.path, 'utf8').replace(/^\ufeff/, '');
+  const format = source.format
+    || (fromStdin ? sniffFormat(content) : EXTENSIONS[path.extname(source.path).toLowerCase()] || 'yaml');
+
+  const reader = FORMATS[format];
+  if (!reader) {
+    const message = `Unknown quote format "${format}" (expected one of: ${Object.keys(FORMATS).join(', ')})`;
+    return { file, format, entries: [], locale: null, issues: [issue('error', 'format', file, 1, message)] };
+  }
+
+  const { entries, locale, issues } = reader(content, file);
+  return { file, format, entries, locale: source.locale || locale, issues };
+}
+
+// Whether quotes from a file can be edited in place (assign-ids writes YAML only)
+function isYamlSource(file) {
+  return EXTENSIONS[path.extname(file).toLowerCase()] === 'yaml';
+}
+
+module.exports = {
+  STDIN,
+  registerSourceFormat,
+  readQuoteSource,
+  isYamlSource
+};
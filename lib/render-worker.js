@@ -0,0 +1,20 @@
+const { parentPort, workerData } = require('worker_threads');
+const sharp = require('sharp');
+
+// 🧵 RENDER WORKER - runs renderJob() from generate.js off the main thread
+// Each worker already runs in parallel with its siblings, so keep libvips single-threaded
+sharp.concurrency(1);
+
+const { CONFIG, renderJob } = require('../generate');
+
+// Mirror the main thread's resolved configuration (CLI flags included)
+Object.assign(CONFIG, workerData.config);
+
+const context = {
+  quotes: workerData.quotes,
+  templates: workerData.templates
+};
+
+parentPort.on('message', async job => {
+  parentPort.postMessage(await renderJob(job, context));
+});
@@ -0,0 +1,347 @@
+// ✨ STAR CATALOG - bright stars and stick figures of well-known IAU constellations
+//
+// Bundled so renders work offline: J2000 right ascension (hours), declination (degrees)
+// and visual magnitude of each figure's stars, rounded from the Yale Bright Star
+// Catalogue. Lines join stars by name in the figures most star charts draw.
+const STAR_CATALOG = [
+  {
+    abbr: 'Ori',
+    name: 'Orion',
+    stars: [
+      ['Betelgeuse', 5.919, 7.407, 0.50],
+      ['Rigel', 5.242, -8.202, 0.13],
+      ['Bellatrix', 5.419, 6.350, 1.64],
+      ['Mintaka', 5.533, -0.299, 2.23],
+      ['Alnilam', 5.604, -1.202, 1.69],
+      ['Alnitak', 5.679, -1.943, 1.77],
+      ['Saiph', 5.796, -9.670, 2.06],
+      ['Meissa', 5.586, 9.934, 3.33]
+    ],
+    lines: [
+      ['Meissa', 'Betelgeuse'], ['Meissa', 'Bellatrix'], ['Betelgeuse', 'Bellatrix'],
+      ['Betelgeuse', 'Alnitak'], ['Bellatrix', 'Mintaka'], ['Mintaka', 'Alnilam'],
+      ['Alnilam', 'Alnitak'], ['Alnitak', 'Saiph'], ['Mintaka', 'Rigel']
+    ]
+  },
+  {
+    abbr: 'UMa',
+    name: 'Ursa Major',
+    stars: [
+      ['Dubhe', 11.062, 61.751, 1.79],
+      ['Merak', 11.031, 56.382, 2.37],
+      ['Phecda', 11.897, 53.695, 2.44],
+      ['Megrez', 12.257, 57.033, 3.31],
+      ['Alioth', 12.900, 55.960, 1.77],
+      ['Mizar', 13.399, 54.925, 2.27],
+      ['Alkaid', 13.792, 49.313, 1.86]
+    ],
+    lines: [
+      ['Dubhe', 'Merak'], ['Merak', 'Phecda'], ['Phecda', 'Megrez'], ['Megrez', 'Dubhe'],
+      ['Megrez', 'Alioth'], ['Alioth', 'Mizar'], ['Mizar', 'Alkaid']
+    ]
+  },
+  {
+    abbr: 'UMi',
+    name: 'Ursa Minor',
+    stars: [
+      ['Polaris', 2.530, 89.264, 1.98],
+      ['Kochab', 14.845, 74.156, 2.08],
+      ['Pherkad', 15.346, 71.834, 3.05],
+      ['Yildun', 17.537, 86.586, 4.35],
+      ['ε UMi', 16.766, 82.037, 4.21],
+      ['ζ UMi', 15.734, 77.795, 4.29],
+      ['η UMi', 16.292, 75.755, 4.95]
+    ],
+    lines: [
+      ['Polaris', 'Yildun'], ['Yildun', 'ε UMi'], ['ε UMi', 'ζ UMi'], ['ζ UMi', 'Kochab'],
+      ['Kochab', 'Pherkad'], ['Pherkad', 'η UMi'], ['η UMi', 'ζ UMi']
+    ]
+  },
+  {
+    abbr: 'Cas',
+    name: 'Cassiopeia',
+    stars: [
+      ['Caph', 0.153, 59.150, 2.27],
+      ['Schedar', 0.675, 56.537, 2.24],
+      ['Navi', 0.945, 60.717, 2.47],
+      ['Ruchbah', 1.430, 60.235, 2.68],
+      ['Segin', 1.907, 63.670, 3.37]
+    ],
+    lines: [['Caph', 'Schedar'], ['Schedar', 'Navi'], ['Navi', 'Ruchbah'], ['Ruchbah', 'Segin']]
+  },
+  {
+    abbr: 'Cyg',
+    name: 'Cygnus',
+    stars: [
+      ['Deneb', 20.690, 45.280, 1.25],
+      ['Sadr', 20.370, 40.257, 2.23],
+      ['Albireo', 19.512, 27.960, 3.05],
+      ['Aljanah', 20.770, 33.970, 2.48],
+      ['Fawaris', 19.750, 45.131, 2.87]
+    ],
+    lines: [['Deneb', 'Sadr'], ['Sadr', 'Albireo'], ['Fawaris', 'Sadr'], ['Sadr', 'Aljanah']]
+  },
+  {
+    abbr: 'Lyr',
+    name: 'Lyra',
+    stars: [
+      ['Vega', 18.616, 38.784, 0.03],
+      ['Sheliak', 18.835, 33.363, 3.52],
+      ['Sulafat', 18.982, 32.690, 3.25],
+      ['δ² Lyr', 18.908, 36.899, 4.30],
+      ['ζ¹ Lyr', 18.746, 37.605, 4.36]
+    ],
+    lines: [['Vega', 'ζ¹ Lyr'], ['ζ¹ Lyr', 'Sheliak'], ['Sheliak', 'Sulafat'], ['Sulafat', 'δ² Lyr'], ['δ² Lyr', 'ζ¹ Lyr']]
+  },
+  {
+    abbr: 'Aql',
+    name: 'Aquila',
+    stars: [
+      ['Altair', 19.846, 8.868, 0.77],
+      ['Tarazed', 19.771, 10.613, 2.72],
+      ['Alshain', 19.922, 6.407, 3.71],
+      ['ζ Aql', 19.090, 13.863, 2.99],
+      ['δ Aql', 19.425, 3.115, 3.36],
+      ['θ Aql', 20.188, -0.821, 3.24],
+      ['λ Aql', 19.104, -4.883, 3.43]
+    ],
+    lines: [
+      ['Tarazed', 'Altair'], ['Altair', 'Alshain'], ['Tarazed', 'ζ Aql'],
+      ['Altair', 'δ Aql'], ['δ Aql', 'λ Aql'], ['Alshain', 'θ Aql']
+    ]
+  },
+  {
+    abbr: 'Sco',
+    name: 'Scorpius',
+    stars: [
+      ['Antares', 16.490, -26.432, 1.06],
+      ['Dschubba', 16.006, -22.622, 2.29],
+      ['Acrab', 16.091, -19.806, 2.62],
+      ['Fang', 15.981, -26.114, 2.89],
+      ['Alniyat', 16.353, -25.593, 2.90],
+      ['Paikauhale', 16.598, -28.216, 2.82],
+      ['Larawag', 16.836, -34.293, 2.29],
+      ['Xamidimura', 16.864, -38.048, 3.04],
+      ['ζ² Sco', 16.910, -42.362, 3.62],
+      ['η Sco', 17.203, -43.239, 3.33],
+      ['Sargas', 17.622, -42.998, 1.86],
+      ['ι¹ Sco', 17.793, -40.127, 2.99],
+      ['Girtab', 17.708, -39.030, 2.41],
+      ['Shaula', 17.560, -37.104, 1.62]
+    ],
+    lines: [
+      ['Acrab', 'Dschubba'], ['Dschubba', 'Fang'], ['Dschubba', 'Alniyat'], ['Alniyat', 'Antares'],
+      ['Antares', 'Paikauhale'], ['Paikauhale', 'Larawag'], ['Larawag', 'Xamidimura'],
+      ['Xamidimura', 'ζ² Sco'], ['ζ² Sco', 'η Sco'], ['η Sco', 'Sargas'], ['Sargas', 'ι¹ Sco'],
+      ['ι¹ Sco', 'Girtab'], ['Girtab', 'Shaula']
+    ]
+  },
+  {
+    abbr: 'Sgr',
+    name: 'Sagittarius',
+    stars: [
+      ['Kaus Australis', 18.403, -34.385, 1.85],
+      ['Nunki', 18.921, -26.297, 2.05],
+      ['Ascella', 19.044, -29.880, 2.60],
+      ['Kaus Media', 18.350, -29.828, 2.70],
+      ['Kaus Borealis', 18.466, -25.422, 2.81],
+      ['Alnasl', 18.097, -30.424, 2.98],
+      ['φ Sgr', 18.761, -26.991, 3.17],
+      ['τ Sgr', 19.116, -27.671, 3.32]
+    ],
+    lines: [
+      ['Alnasl', 'Kaus Media'], ['Kaus Media', 'Kaus Australis'], ['Kaus Australis', 'Alnasl'],
+      ['Kaus Media', 'Kaus Borealis'], ['Kaus Borealis', 'φ Sgr'], ['φ Sgr', 'Kaus Media'],
+      ['φ Sgr', 'Nunki'], ['Nunki', 'τ Sgr'], ['τ Sgr', 'Ascella'], ['Ascella', 'φ Sgr'],
+      ['Ascella', 'Kaus Australis']
+    ]
+  },
+  {
+    abbr: 'Leo',
+    name: 'Leo',
+    stars: [
+      ['Regulus', 10.140, 11.967, 1.40],
+      ['Denebola', 11.818, 14.572, 2.14],
+      ['Algieba', 10.333, 19.842, 2.08],
+      ['Zosma', 11.235, 20.524, 2.56],
+      ['Chertan', 11.237, 15.430, 3.33],
+      ['η Leo', 10.122, 16.763, 3.49],
+      ['Adhafera', 10.278, 23.417, 3.44],
+      ['Rasalas', 9.879, 26.007, 3.88],
+      ['Algenubi', 9.764, 23.774, 2.98]
+    ],
+    lines: [
+      ['Regulus', 'η Leo'], ['η Leo', 'Algieba'], ['Algieba', 'Adhafera'], ['Adhafera', 'Rasalas'],
+      ['Rasalas', 'Algenubi'], ['Algieba', 'Zosma'], ['Zosma', 'Denebola'], ['Denebola', 'Chertan'],
+      ['Chertan', 'Zosma'], ['Chertan', 'Regulus']
+    ]
+  },
+  {
+    abbr: 'Gem',
+    name: 'Gemini',
+    stars: [
+      ['Castor', 7.577, 31.888, 1.58],
+      ['Pollux', 7.755, 28.026, 1.14],
+      ['Alhena', 6.629, 16.399, 1.92],
+      ['Mebsuta', 6.732, 25.131, 2.98],
+      ['Wasat', 7.335, 21.982, 3.53],
+      ['Tejat', 6.383, 22.514, 2.87],
+      ['Propus', 6.248, 22.507, 3.28],
+      ['Alzirr', 6.755, 12.896, 3.35]
+    ],
+    lines: [
+      ['Castor', 'Pollux'], ['Castor', 'Mebsuta'], ['Mebsuta', 'Tejat'], ['Tejat', 'Propus'],
+      ['Pollux', 'Wasat'], ['Wasat', 'Alhena'], ['Wasat', 'Alzirr']
+    ]
+  },
+  {
+    abbr: 'Tau',
+    name: 'Taurus',
+    stars: [
+      ['Aldebaran', 4.599, 16.509, 0.86],
+      ['Elnath', 5.438, 28.608, 1.65],
+      ['Tianguan', 5.628, 21.143, 3.00],
+      ['Chamukuy', 4.478, 15.871, 3.40],
+      ['Prima Hyadum', 4.330, 15.628, 3.65],
+      ['Secunda Hyadum', 4.382, 17.543, 3.76],
+      ['Ain', 4.477, 19.180, 3.53],
+      ['λ Tau', 4.011, 12.490, 3.47],
+      ['Alcyone', 3.791, 24.105, 2.87]
+    ],
+    lines: [
+      ['λ Tau', 'Prima Hyadum'], ['Prima Hyadum', 'Chamukuy'], ['Chamukuy', 'Aldebaran'],
+      ['Aldebaran', 'Tianguan'], ['Prima Hyadum', 'Secunda Hyadum'], ['Secunda Hyadum', 'Ain'],
+      ['Ain', 'Elnath']
+    ]
+  },
+  {
+    abbr: 'Aur',
+    name: 'Auriga',
+    stars: [
+      ['Capella', 5.278, 45.998, 0.08],
+      ['Menkalinan', 5.992, 44.948, 1.90],
+      ['Mahasim', 5.995, 37.213, 2.65],
+      ['Hassaleh', 4.950, 33.166, 2.69],
+      ['Almaaz', 5.033, 43.823, 2.99],
+      ['Haedus', 5.109, 41.234, 3.17],
+      ['Elnath', 5.438, 28.608, 1.65]
+    ],
+    lines: [
+      ['Capella', 'Menkalinan'], ['Menkalinan', 'Mahasim'], ['Mahasim', 'Elnath'],
+      ['Elnath', 'Hassaleh'], ['Hassaleh', 'Capella'], ['Capella', 'Almaaz'], ['Almaaz', 'Haedus']
+    ]
+  },
+  {
+    abbr: 'CMa',
+    name: 'Canis Major',
+    stars: [
+      ['Sirius', 6.752, -16.716, -1.46],
+      ['Mirzam', 6.378, -17.956, 1.98],
+      ['Adhara', 6.977, -28.972, 1.50],
+      ['Wezen', 7.140, -26.393, 1.84],
+      ['Aludra', 7.402, -29.303, 2.45],
+      ['Furud', 6.339, -30.063, 3.02],
+      ['Muliphein', 7.063, -15.633, 4.12],
+      ['ο² CMa', 7.051, -23.833, 3.02]
+    ],
+    lines: [
+      ['Mirzam', 'Sirius'], ['Sirius', 'Muliphein'], ['Sirius', 'ο² CMa'], ['ο² CMa', 'Wezen'],
+      ['Wezen', 'Aludra'], ['Wezen', 'Adhara'], ['Adhara', 'Furud']
+    ]
+  },
+  {
+    abbr: 'Cru',
+    name: 'Crux',
+    stars: [
+      ['Acrux', 12.443, -63.099, 0.76],
+      ['Mimosa', 12.795, -59.689, 1.25],
+      ['Gacrux', 12.519, -57.113, 1.64],
+      ['Imai', 12.252, -58.749, 2.79],
+      ['Ginan', 12.356, -60.401, 3.59]
+    ],
+    lines: [['Acrux', 'Gacrux'], ['Mimosa', 'Imai']]
+  },
+  {
+    abbr: 'Peg',
+    name: 'Pegasus',
+    stars: [
+      ['Markab', 23.079, 15.205, 2.49],
+      ['Scheat', 23.063, 28.083, 2.42],
+      ['Algenib', 0.221, 15.184, 2.83],
+      ['Alpheratz', 0.140, 29.091, 2.06],
+      ['Enif', 21.736, 9.875, 2.39],
+      ['Homam', 22.691, 10.831, 3.40],
+      ['Biham', 22.170, 6.198, 3.53]
+    ],
+    lines: [
+      ['Markab', 'Scheat'], ['Scheat', 'Alpheratz'], ['Alpheratz', 'Algenib'], ['Algenib', 'Markab'],
+      ['Markab', 'Homam'], ['Homam', 'Biham'], ['Biham', 'Enif']
+    ]
+  },
+  {
+    abbr: 'And',
+    name: 'Andromeda',
+    stars: [
+      ['Alpheratz', 0.140, 29.091, 2.06],
+      ['Mirach', 1.162, 35.621, 2.05],
+      ['Almach', 2.065, 42.330, 2.10],
+      ['δ And', 0.656, 30.861, 3.27],
+      ['μ And', 0.946, 38.499, 3.87],
+      ['ν And', 0.830, 41.079, 4.53]
+    ],
+    lines: [['Alpheratz', 'δ And'], ['δ And', 'Mirach'], ['Mirach', 'Almach'], ['Mirach', 'μ And'], ['μ And', 'ν And']]
+  },
+  {
+    abbr: 'Per',
+    name: 'Perseus',
+    stars: [
+      ['Mirfak', 3.405, 49.861, 1.79],
+      ['Algol', 3.136, 40.956, 2.12],
+      ['Menkib', 3.902, 31.884, 2.85],
+      ['ε Per', 3.964, 40.010, 2.89],
+      ['γ Per', 3.080, 53.506, 2.93],
+      ['δ Per', 3.715, 47.788, 3.01],
+      ['Miram', 2.845, 55.896, 3.76]
+    ],
+    lines: [
+      ['Miram', 'γ Per'], ['γ Per', 'Mirfak'], ['Mirfak', 'δ Per'], ['δ Per', 'ε Per'],
+      ['ε Per', 'Menkib'], ['Mirfak', 'Algol']
+    ]
+  },
+  {
+    abbr: 'Boo',
+    name: 'Boötes',
+    stars: [
+      ['Arcturus', 14.261, 19.182, -0.05],
+      ['Izar', 14.750, 27.074, 2.37],
+      ['Muphrid', 13.911, 18.398, 2.68],
+      ['Seginus', 14.535, 38.308, 3.03],
+      ['Nekkar', 15.032, 40.390, 3.50],
+      ['δ Boo', 15.258, 33.315, 3.46],
+      ['ρ Boo', 14.531, 30.371, 3.58]
+    ],
+    lines: [
+      ['Arcturus', 'Izar'], ['Izar', 'δ Boo'], ['δ Boo', 'Nekkar'], ['Nekkar', 'Seginus'],
+      ['Seginus', 'ρ Boo'], ['ρ Boo', 'Arcturus'], ['Arcturus', 'Muphrid']
+    ]
+  },
+  {
+    abbr: 'CrB',
+    name: 'Corona Borealis',
+    stars: [
+      ['Alphecca', 15.578, 26.715, 2.23],
+      ['Nusakan', 15.464, 29.106, 3.68],
+      ['γ CrB', 15.712, 26.296, 3.84],
+      ['θ CrB', 15.549, 31.359, 4.14],
+      ['δ CrB', 15.827, 26.068, 4.63],
+      ['ε CrB', 15.960, 26.878, 4.15],
+      ['ι CrB', 16.024, 29.851, 4.98]
+    ],
+    lines: [
+      ['θ CrB', 'Nusakan'], ['Nusakan', 'Alphecca'], ['Alphecca', 'γ CrB'], ['γ CrB', 'δ CrB'],
+      ['δ CrB', 'ε CrB'], ['ε CrB', 'ι CrB']
+    ]
+  }
+];
+
+module.exports = { STAR_CATALOG };
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { inspectTemplateSlots } = require('./template-slots');
+
+// 📐 TEMPLATE REGISTRY - discovers SVG templates and derives their export formats
+//
+// Export size comes from the template's viewBox aspect ratio, matched against the
+// platform formats below. Two formats share 1.91:1, so a template can name its
+// format explicitly with <svg data-format="opengraph">, or set any pixel width
+// with <svg data-export-width="1600"> (height follows the aspect ratio).
+const EXPORT_FORMATS = {
+  story: { aspect: 9 / 16, width: 1080, height: 1920 },
+  square: { aspect: 1, width: 1080, height: 1080 },
+  portrait: { aspect: 4 / 5, width: 1080, height: 1350 },
+  'link-card': { aspect: 1.91, width: 1200, height: 628 },
+  opengraph: { aspect: 1.91, width: 1200, height: 630 },
+  'video-cover': { aspect: 16 / 9, width: 1920, height: 1080 }
+};
+const ASPECT_TOLERANCE = 0.02;
+const DEFAULT_EXPORT_WIDTH = 1080;
+
+function readRootAttributes(svgContent) {
+  const root = /<svg\b[^>]*>/i.exec(svgContent);
+  const attributes = {};
+  if (!root) return null;
+
+  const pattern = /([\w:-]+)\s*=\s*"([^"]*)"/g;
+  let match;
+  while ((match = pattern.exec(root[0])) !== null) {
+    attributes[match[1]] = match[2];
+  }
+  return attributes;
+}
+
+// viewBox="0 0 108 192" → { x: 0, y: 0, width: 108, height: 192 }
+function parseViewBox(attributes) {
+  if (attributes.viewBox) {
+    const [x, y, width, height] = attributes.viewBox.trim().split(/[\s,]+/).map(Number);
+    if ([x, y, width, height].every(Number.isFinite) && width > 0 && height > 0) {
+      return { x, y, width, height };
+    }
+  }
+
+  const width = parseFloat(attributes.width);
+  const height = parseFloat(attributes.height);
+  return width > 0 && height > 0 ? { x: 0, y: 0, width, height } : null;
+}
+
+// 🖼️ Pick the export format and pixel size for a viewBox
+function resolveExportFormat(viewBox, attributes = {}) {
+  const aspect = viewBox.width / viewBox.height;
+  const named = attributes['data-format'];
+  const customWidth = parseInt(attributes['data-export-width'], 10);
+
+  if (named && !EXPORT_FORMATS[named]) {
+    throw new Error(`unknown data-format "${named}" (expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+
+  const [format, preset] = named
+    ? [named, EXPORT_FORMATS[named]]
+    : Object.entries(EXPORT_FORMATS).find(([, candidate]) => Math.abs(aspect / candidate.aspect - 1) <= ASPECT_TOLERANCE) || ['custom', null];
+
+  if (customWidth > 0) {
+    return { format, width: customWidth, height: Math.round(customWidth / aspect) };
+  }
+  if (preset) {
+    return { format, width: preset.width, height: preset.height };
+  }
+  return { format, width: DEFAULT_EXPORT_WIDTH, height: Math.round(DEFAULT_EXPORT_WIDTH / aspect) };
+}
+
+// 📏 viewBox, export format and pixel size of an SVG template; throws if unusable
+function templateGeometry(svgContent) {
+  const attributes = readRootAttributes(svgContent);
+  if (!attributes) throw new Error('no <svg> root element');
+
+  const viewBox = parseViewBox(attributes);
+  if (!viewBox) throw new Error('no usable viewBox or width/height');
+
+  const { format, width, height } = resolveExportFormat(viewBox, attributes);
+  return { viewBox, format, exportSize: { width, height } };
+}
+
+// 📄 Load one template file into a registry entry
+function loadTemplate(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  const problems = [];
+  let geometry = { viewBox: null, format: null, exportSize: null };
+
+  try {
+    geometry = templateGeometry(content);
+  } catch (error) {
+    problems.push(error.message);
+  }
+
+  const { slots, problems: slotProblems } = inspectTemplateSlots(content);
+
+  return {
+    name: path.basename(file, '.svg'),
+    file,
+    content,
+    ...geometry,
+    slots,
+    bilingual: slots.some(slot => slot.name === 'original'),
+    problems: [...problems, ...slotProblems]
+  };
+}
+
+// 🔍 Every *.svg in a directory, sorted by name
+function discoverTemplates(templatesDir) {
+  if (!fs.existsSync(templatesDir)) {
+    throw new Error(`Templates directory not found: ${templatesDir}`);
+  }
+
+  return fs.readdirSync(templatesDir)
+    .filter(file => file.toLowerCase().endsWith('.svg'))
+    .sort()
+    .map(file => loadTemplate(path.join(templatesDir, file)));
+}
+
+/**
+ * Discover templates and keep the ones a configuration asks for
+ *
+ * @param {string} templatesDir - Directory to scan for *.svg templates
+ * @param {Array} names - Template names to use, in order (empty = all discovered)
+ * @returns {Array} Registry entries: name, file, content, viewBox, format, exportSize, slots, bilingual, problems
+ */
+function loadTemplates(templatesDir, names = []) {
+  const discovered = discoverTemplates(templatesDir);
+  if (names.length === 0) return discovered;
+
+  const wanted = names.map(name => name.replace(/\.svg$/, ''));
+  const unknown = wanted.filter(name => !discovered.some(template => template.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Template(s) not found in ${templatesDir}: ${unknown.join(', ')} (available: ${discovered.map(t => t.name).join(', ')})`);
+  }
+
+  return wanted.map(name => discovered.find(template => template.name === name));
+}
+
+// 🌌 Bounds handed to constellation generators and branding placement
+function templateBoundsFor(geometry) {
+  const { x, y, width, height } = geometry.viewBox;
+  return {
+    x,
+    y,
+    width,
+    height,
+    format: geometry.format,
+    exportSize: geometry.exportSize,
+    isSquare: width === height
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  resolveExportFormat,
+  templateGeometry,
+  discoverTemplates,
+  loadTemplates,
+  templateBoundsFor
+};
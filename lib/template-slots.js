@@ -0,0 +1,129 @@
+const { JSDOM } = require('jsdom');
+const { EMPHASIS_STYLES } = require('./emphasis');
+
+// 🧩 TEMPLATE SLOTS - named regions a template declares for generated content
+//
+//   <text data-slot="body"
+//         data-slot-box="x y width height"   bounding box in viewBox units
+//         data-slot-font-size="6.4"          font size the slot is designed for
+//         data-slot-line-height="6.8"        baseline-to-baseline distance
+//         data-slot-max-lines="14">          lines that fit inside the box
+//
+// A template with an "original" slot is bilingual: it renders translations with
+// their original text alongside (see lib/translations.js). A "credit" slot holds the
+// quote's credit line (see lib/attribution.js)
+const SLOT_NAMES = ['title', 'body', 'original', 'category', 'progress', 'credit', 'branding'];
+const REQUIRED_SLOTS = ['body'];
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function parseNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function parseBox(value) {
+  if (!value) return null;
+  const [x, y, width, height] = value.trim().split(/[\s,]+/).map(Number);
+  if ([x, y, width, height].some(n => !Number.isFinite(n))) return null;
+  return { x, y, width, height };
+}
+
+// 🔍 Read every [data-slot] element of a parsed SVG document, keyed by slot name
+function readSlots(doc) {
+  const slots = {};
+
+  doc.querySelectorAll('[data-slot]').forEach(element => {
+    const name = element.getAttribute('data-slot');
+    if (slots[name]) return; // First declaration wins
+
+    const fontSize = parseNumber(element.getAttribute('data-slot-font-size'));
+    slots[name] = {
+      name,
+      element,
+      box: parseBox(element.getAttribute('data-slot-box')),
+      fontSize,
+      lineHeight: parseNumber(element.getAttribute('data-slot-line-height')) || (fontSize ? fontSize * 1.2 : null),
+      maxLines: parseNumber(element.getAttribute('data-slot-max-lines'))
+    };
+  });
+
+  return slots;
+}
+
+// 📋 Validate a template's slots without rendering anything
+function inspectTemplateSlots(svgContent) {
+  const doc = new JSDOM(svgContent, { contentType: 'image/svg+xml' }).window.document;
+  const slots = readSlots(doc);
+
+  const problems = [];
+  REQUIRED_SLOTS.filter(name => !slots[name]).forEach(name => problems.push(`missing required slot "${name}"`));
+  Object.values(slots).forEach(slot => {
+    if (!SLOT_NAMES.includes(slot.name)) problems.push(`unknown slot "${slot.name}"`);
+    if (slot.element.tagName === 'text' && !slot.box) problems.push(`slot "${slot.name}" has no valid data-slot-box`);
+  });
+
+  return {
+    slots: Object.values(slots).map(({ element, ...slot }) => slot),
+    problems
+  };
+}
+
+// Plain text, or { text, emphasis } segments as emphasis tspans
+function appendLine(doc, parent, line, emphasisStyles) {
+  const segments = typeof line === 'string' ? [{ text: line, emphasis: null }] : line;
+  segments.forEach(({ text, emphasis }) => {
+    if (!emphasis) {
+      parent.appendChild(doc.createTextNode(text));
+      return;
+    }
+    const tspan = doc.createElementNS(SVG_NS, 'tspan');
+    tspan.setAttribute('class', `emphasis-${emphasis}`);
+    tspan.setAttribute('style', emphasisStyles[emphasis]);
+    tspan.textContent = text;
+    parent.appendChild(tspan);
+  });
+}
+
+// ✏️ Replace a text slot's content with one tspan per line, optionally at a fitted size
+// Lines are strings or arrays of { text, emphasis } segments from lib/emphasis.js.
+// RTL text is anchored at the right edge of the box (the text origin is its left edge)
+function fillTextSlot(doc, slot, lines, {
+  fontSize = null,
+  lineHeight = slot.lineHeight || 0,
+  emphasisStyles = EMPHASIS_STYLES,
+  direction = 'ltr'
+} = {}) {
+  const el = slot.element;
+
+  // Inline style, since the template's CSS class would win over a font-size attribute
+  if (fontSize && fontSize !== slot.fontSize) {
+    el.style.setProperty('font-size', `${fontSize}px`);
+  }
+
+  if (direction === 'rtl' && slot.box) {
+    el.setAttribute('direction', 'rtl');
+    el.setAttribute('x', String((parseFloat(el.getAttribute('x')) || 0) + slot.box.width));
+  }
+
+  el.textContent = '';
+  if (lines.length === 1) {
+    appendLine(doc, el, lines[0], emphasisStyles);
+    return;
+  }
+
+  lines.forEach((line, index) => {
+    const tspan = doc.createElementNS(SVG_NS, 'tspan');
+    appendLine(doc, tspan, line, emphasisStyles);
+    tspan.setAttribute('x', el.getAttribute('x') || '0');
+    tspan.setAttribute('dy', index === 0 ? '0' : lineHeight);
+    el.appendChild(tspan);
+  });
+}
+
+module.exports = {
+  SLOT_NAMES,
+  REQUIRED_SLOTS,
+  readSlots,
+  inspectTemplateSlots,
+  fillTextSlot
+};
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const opentype = require('opentype.js');
+
+// 📏 TEXT METRICS - glyph widths from the real font files, styled by template CSS
+//
+// Templates style text with Illustrator classes (.st3 { font-family: IBMPlexSans-Light,
+// 'IBM Plex Sans'; font-size: 6.4px; letter-spacing: 0em }). Each family in the list
+// is looked up as <fonts_dir>/<family>.ttf|.otf and measured with opentype.js,
+// kerning included. The same files are embedded and rasterized - see lib/fonts.js
+const FONT_EXTENSIONS = ['.ttf', '.otf'];
+const PRESENTATION_ATTRIBUTES = ['font-family', 'font-size', 'font-weight', 'letter-spacing', 'text-anchor'];
+
+const fontCache = new Map();
+
+function parseDeclarations(block) {
+  const declarations = {};
+  block.split(';').forEach(declaration => {
+    const separator = declaration.indexOf(':');
+    if (separator < 1) return;
+    declarations[declaration.slice(0, separator).trim().toLowerCase()] = declaration.slice(separator + 1).trim();
+  });
+  return declarations;
+}
+
+// 🎨 Class → declarations from every <style> block, grouped selectors (.st0, .st1) included
+function readClassStyles(doc) {
+  const classes = {};
+
+  doc.querySelectorAll('style').forEach(style => {
+    const rule = /([^{}]+)\{([^}]*)\}/g;
+    let match;
+    while ((match = rule.exec(style.textContent)) !== null) {
+      const declarations = parseDeclarations(match[2]);
+      match[1].split(',').map(selector => selector.trim()).forEach(selector => {
+        if (!/^\.[\w-]+$/.test(selector)) return;
+        const name = selector.slice(1);
+        classes[name] = { ...classes[name], ...declarations };
+      });
+    }
+  });
+
+  return classes;
+}
+
+function parseLength(value, fontSize) {
+  if (!value || value === 'normal') return 0;
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) return 0;
+  return value.trim().endsWith('em') ? number * fontSize : number;
+}
+
+// "IBMPlexSans-Light, 'IBM Plex Sans'" → ['IBMPlexSans-Light', 'IBM Plex Sans']
+function parseFontFamilies(value) {
+  return (value || '')
+    .split(',')
+    .map(family => family.trim().replace(/^['"]|['"]$/g, ''))
+    .filter(Boolean);
+}
+
+// 🔤 Resolved font-family list, size, letter-spacing and text-anchor of an element
+// Priority: presentation attributes < CSS classes < inline style < extraStyle
+function textStyle(element, classStyles, extraStyle = '') {
+  const declarations = {};
+  PRESENTATION_ATTRIBUTES.filter(name => element.hasAttribute(name)).forEach(name => {
+    declarations[name] = element.getAttribute(name);
+  });
+  (element.getAttribute('class') || '').split(/\s+/).filter(Boolean).forEach(name => {
+    Object.assign(declarations, classStyles[name]);
+  });
+  Object.assign(declarations, parseDeclarations(element.getAttribute('style') || ''));
+  Object.assign(declarations, parseDeclarations(extraStyle));
+
+  const fontSize = parseFloat(declarations['font-size']) || 12;
+  return {
+    fontFamilies: parseFontFamilies(declarations['font-family']),
+    fontSize,
+    fontWeight: declarations['font-weight'] || 'normal',
+    letterSpacing: parseLength(declarations['letter-spacing'], fontSize),
+    textAnchor: declarations['text-anchor'] || null
+  };
+}
+
+function findFontFile(family, fontsDir) {
+  const names = [family, family.replace(/\s+/g, '')];
+  for (const name of names) {
+    for (const extension of FONT_EXTENSIONS) {
+      const file = path.join(fontsDir, name + extension);
+      if (fs.existsSync(file)) return file;
+    }
+  }
+  return null;
+}
+
+// 📍 First family in the list with a font file in fontsDir → { family, file }, or null
+function resolveFontFile(fontFamilies, fontsDir) {
+  for (const family of fontFamilies) {
+    const file = findFontFile(family, fontsDir);
+    if (file) return { family, file };
+  }
+  return null;
+}
+
+// 📂 Parsed font for a font-family list (cached per thread); throws when no file exists
+function loadFont(fontFamilies, fontsDir) {
+  const key = `${fontsDir}|${fontFamilies.join(',')}`;
+  if (fontCache.has(key)) return fontCache.get(key);
+
+  const resolved = resolveFontFile(fontFamilies, fontsDir);
+  if (!resolved) {
+    throw new Error(`No font file for ${fontFamilies.join(', ') || '(no font-family)'} in ${fontsDir}`);
+  }
+
+  const data = fs.readFileSync(resolved.file);
+  const font = opentype.parse(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+  fontCache.set(key, font);
+  return font;
+}
+
+/**
+ * Advance width of a line of text in viewBox units
+ * Kerning and CSS letter-spacing (applied between characters) are included
+ *
+ * @param {string} text - Line to measure
+ * @param {Object} style - From textStyle()
+ * @param {string} fontsDir - Directory holding the template fonts
+ * @returns {number} Width in the same units as style.fontSize
+ */
+function measureText(text, style, fontsDir) {
+  if (!text) return 0;
+  const characters = [...text].length;
+  const spacing = style.letterSpacing * (characters - 1);
+  const font = loadFont(style.fontFamilies, fontsDir);
+  return font.getAdvanceWidth(text, style.fontSize, { kerning: true }) + spacing;
+}
+
+// ✂️ Measuring function for a slot's element: line → width, at the slot's design size by default
+function createMeasurer(doc, slot, fontsDir, fontSize = slot.fontSize, extraStyle = '') {
+  const style = textStyle(slot.element, readClassStyles(doc), extraStyle);
+  if (fontSize) {
+    style.letterSpacing *= fontSize / style.fontSize;
+    style.fontSize = fontSize;
+  }
+  return text => measureText(text, style, fontsDir);
+}
+
+// ✂️ Measuring function for a line of { text, emphasis } segments, each emphasis with its own CSS
+function createSegmentMeasurer(doc, slot, fontsDir, fontSize, emphasisStyles = {}) {
+  const measurers = new Map();
+  const measurerFor = emphasis => {
+    if (!measurers.has(emphasis)) {
+      measurers.set(emphasis, createMeasurer(doc, slot, fontsDir, fontSize, emphasis ? emphasisStyles[emphasis] : ''));
+    }
+    return measurers.get(emphasis);
+  };
+
+  return segments => segments.reduce((width, { text, emphasis }) => width + measurerFor(emphasis)(text), 0);
+}
+
+// ↔️ SVG transform attribute → affine matrix [a, b, c, d, e, f] (translate, rotate, scale, matrix)
+function parseTransform(value = '') {
+  const multiply = ([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) => [
+    a1 * a2 + c1 * b2, b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2, b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1, b1 * e2 + d1 * f2 + f1
+  ];
+  const operations = {
+    translate: (x = 0, y = 0) => [1, 0, 0, 1, x, y],
+    scale: (x = 1, y = x) => [x, 0, 0, y, 0, 0],
+    rotate: (degrees = 0, cx = 0, cy = 0) => {
+      const [cos, sin] = [Math.cos(degrees * Math.PI / 180), Math.sin(degrees * Math.PI / 180)];
+      return [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+    },
+    matrix: (...values) => values
+  };
+
+  let matrix = [1, 0, 0, 1, 0, 0];
+  const step = /(\w+)\s*\(([^)]*)\)/g;
+  let match;
+  while ((match = step.exec(value)) !== null) {
+    const operation = operations[match[1]];
+    if (operation) matrix = multiply(matrix, operation(...match[2].trim().split(/[\s,]+/).filter(Boolean).map(Number)));
+  }
+  return matrix;
+}
+
+/**
+ * Box a template's own <text> covers, its transform applied (rotated side lines included)
+ *
+ * @param {Element} element - <text> element, with or without <tspan> lines
+ * @param {Object} classStyles - From readClassStyles()
+ * @param {string} fontsDir - Directory holding the template fonts
+ * @returns {Object|null} { x, y, width, height } in viewBox units, null for empty text
+ */
+function textElementBox(element, classStyles, fontsDir) {
+  const tspans = [...element.querySelectorAll('tspan')];
+  const lines = (tspans.length > 0 ? tspans : [element])
+    .map(line => ({ line, text: line.textContent.trim() }))
+    .filter(({ text }) => text);
+  if (lines.length === 0) return null;
+
+  // Line boxes from the ascender (one em over the baseline) to the descender, shifted by
+  // dx/dy (the <text>'s own shift applies to lines without a position of their own) and
+  // by text-anchor, before the transform
+  const style = textStyle(element, classStyles);
+  const shift = (node, name) => parseLength(node.getAttribute(name) || '', style.fontSize);
+  const [a, b, c, d, e, f] = parseTransform(element.getAttribute('transform') || '');
+  const corners = lines.flatMap(({ line, text }) => {
+    const own = line !== element;
+    const x = (parseFloat(line.getAttribute('x')) || 0) + (own ? shift(line, 'dx') : 0) + (own && line.hasAttribute('x') ? 0 : shift(element, 'dx'));
+    const y = (parseFloat(line.getAttribute('y')) || 0) + (own ? shift(line, 'dy') : 0) + (own && line.hasAttribute('y') ? 0 : shift(element, 'dy'));
+    const width = measureText(text, style, fontsDir);
+    const anchor = (own && textStyle(line, classStyles).textAnchor) || style.textAnchor;
+    const left = x - (anchor === 'middle' ? width / 2 : anchor === 'end' ? width : 0);
+    return [
+      [left, y - style.fontSize], [left + width, y - style.fontSize],
+      [left, y + style.fontSize * 0.25], [left + width, y + style.fontSize * 0.25]
+    ];
+  }).map(([x, y]) => [a * x + c * y + e, b * x + d * y + f]);
+
+  const xs = corners.map(([x]) => x);
+  const ys = corners.map(([, y]) => y);
+  return { x: Math.min(...xs), y: Math.min(...ys), width: Math.max(...xs) - Math.min(...xs), height: Math.max(...ys) - Math.min(...ys) };
+}
+
+module.exports = {
+  FONT_EXTENSIONS,
+  parseFontFamilies,
+  readClassStyles,
+  textStyle,
+  resolveFontFile,
+  loadFont,
+  measureText,
+  createMeasurer,
+  createSegmentMeasurer,
+  textElementBox
+};
@@ -0,0 +1,83 @@
+// 🔗 TRANSLATIONS - quotes in different locale files linked by a shared `id`
+//
+// The first quote with an id (in quote_files order) is the original; quotes with the
+// same id in other locales are its translations. A translation carries a copy of its
+// original and takes its place in the series, so the French post for a day is the
+// same quote with the same seed - constellation, palette and glitch included - and
+// the same art direction and attribution.
+
+/**
+ * Link translations to their originals and number the series
+ * Sets `seriesIndex` on every quote, and `original` ({ index, title, text, markup,
+ * locale }) on translations
+ *
+ * @param {Array} quotes - Parsed quotes from parseQuotes()
+ * @returns {Object} { quotes, problems } - problems are human-readable warnings
+ */
+function linkTranslations(quotes) {
+  const originals = new Map();
+  const problems = [];
+  let nextSeriesIndex = 0;
+
+  quotes.forEach((quote, index) => {
+    const original = quote.id !== undefined ? originals.get(quote.id) : undefined;
+
+    if (!original) {
+      quote.seriesIndex = nextSeriesIndex++;
+      if (quote.id !== undefined) originals.set(quote.id, { quote, index, locales: new Set([quote.locale]) });
+      return;
+    }
+
+    if (original.locales.has(quote.locale)) {
+      problems.push(`Duplicate id "${quote.id}" in locale ${quote.locale} (${quote.source}) - not linked`);
+      quote.seriesIndex = nextSeriesIndex++;
+      return;
+    }
+
+    original.locales.add(quote.locale);
+    quote.seriesIndex = original.quote.seriesIndex;
+    // The original's art direction and attribution carry over; the translation's own keys win
+    quote.art = { ...original.quote.art, ...quote.art };
+    quote.attribution = { ...original.quote.attribution, ...quote.attribution };
+    quote.original = {
+      index: original.index,
+      title: original.quote.title,
+      text: original.quote.text,
+      markup: original.quote.markup,
+      locale: original.quote.locale
+    };
+  });
+
+  return { quotes, problems };
+}
+
+// Number of distinct quotes in the series - translations don't count
+function seriesLength(quotes) {
+  return quotes.filter(quote => !quote.original).length;
+}
+
+/**
+ * Originals that have no translation in each locale of the corpus
+ *
+ * @param {Array} quotes - Linked quotes from linkTranslations()
+ * @returns {Array} [{ locale, translated, missing: [quote, ...] }] per locale, sorted
+ */
+function translationReport(quotes) {
+  const locales = [...new Set(quotes.map(quote => quote.locale))].sort();
+  const originals = quotes.filter(quote => !quote.original);
+  const translatedIds = new Set(quotes
+    .filter(quote => quote.original)
+    .map(quote => `${quote.locale}|${quote.id}`));
+
+  return locales.map(locale => {
+    const candidates = originals.filter(quote => quote.locale !== locale);
+    const missing = candidates.filter(quote => quote.id === undefined || !translatedIds.has(`${locale}|${quote.id}`));
+    return { locale, translated: candidates.length - missing.length, missing };
+  });
+}
+
+module.exports = {
+  linkTranslations,
+  seriesLength,
+  translationReport
+};
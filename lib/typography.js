@@ -0,0 +1,284 @@
+const { splitWords, mergeSegments } = require('./emphasis');
+const { DEFAULT_LOCALE, localeSettings } = require('./locales');
+
+// 🖋️ TYPOGRAPHY - smart punctuation, balanced line breaking and hyphenation
+//
+// Line breaking works on "pieces": whole words, word fragments when hyphenation
+// is on, or single characters in CJK text. Balanced breaking keeps the greedy line
+// count, then picks the breaks that make lines most even, penalizing one-word first
+// lines (orphans), one-word last lines (widows) and hyphens.
+const MIN_HYPHENATED_WORD = 6;
+
+// CJK line breaking rules (kinsoku): no line starts with closing punctuation or
+// small kana, and none ends with opening punctuation
+const NO_LINE_START = new Set([...'、。，．・：；？！ー～…‥」』）】〕〉》”’ぁぃぅぇぉっゃゅょゎァィゥェォッャュョヮヵヶ々,.:;?!)]}']);
+const NO_LINE_END = new Set([...'「『（【〔〈《“‘([{']);
+const CJK_CHARACTER = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\u3000-\u303f\uff00-\uffef]/u;
+const PENALTIES = {
+  widow: 200,
+  orphan: 200,
+  hyphen: 30,
+  overfull: 1e6
+};
+
+const hyphenators = new Map();
+
+/**
+ * Typeset plain punctuation: quotes and apostrophes, dashes and ellipses
+ * Quote marks follow the locale (“…” in English, « … » in French, „…“ in German)
+ * Markup markers (**, ==, _) pass through untouched
+ *
+ * @param {string} text - Quote text, optionally with inline markup
+ * @param {string} [locale] - Locale of the text, see lib/locales.js
+ * @returns {string} Text with typographic punctuation
+ */
+function smartenPunctuation(text, locale = DEFAULT_LOCALE) {
+  const { quotes: [open, close, openSingle, closeSingle], spaceBeforePunctuation } = localeSettings(locale);
+  const typeset = text
+    .replace(/\.\.\./g, '…')
+    .replace(/---/g, '—')
+    .replace(/--/g, '–')
+    .replace(/(?<=\d)-(?=\d)/g, '–')                   // Ranges: 10-20 → 10–20
+    .replace(/(?<=\S) - (?=\S)/g, ' – ')               // Spaced hyphen → spaced en dash
+    .replace(/(^|[\s([{*=_—–])"/g, `$1${open}`)        // Opening double quotes
+    .replace(/"/g, close)
+    .replace(/'(?=\d0s\b)/g, '’')                      // Decades: '90s
+    .replace(/(?<=\p{L})'(?=\p{L})/gu, '’')            // Apostrophes: don't, l'art
+    .replace(/'n'(?!\p{L})/gu, '’n’')                  // Elisions: rock 'n' roll
+    .replace(/'(?=(?:tis|twas|em|til|cause)\b)/gi, '’') // Elisions: 'tis, 'em
+    .replace(/(^|[\s([{*=_—–])'(?=\w)/g, `$1${openSingle}`) // Opening single quotes
+    .replace(/'/g, closeSingle);
+
+  // French: no-break space before ; : ! ? so they never start a line
+  return spaceBeforePunctuation ? typeset.replace(/ ([;:!?])/g, '\u00a0$1') : typeset;
+}
+
+// Hypher instance for a locale ('fr-CA' → fr), or null when no patterns are available
+// hypher and the patterns load on first use - check missingHyphenation() before rendering
+function hyphenatorFor(locale = DEFAULT_LOCALE) {
+  const { language, hyphenation } = localeSettings(locale);
+  if (!hyphenators.has(language)) {
+    hyphenators.set(language, hyphenation ? new (require('hypher'))(require(hyphenation)) : null);
+  }
+  return hyphenators.get(language);
+}
+
+function canLoad(name) {
+  try {
+    require.resolve(name);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Packages that hyphenating the given locales needs and that are not installed
+function missingHyphenation(locales) {
+  const packages = [...locales].map(locale => localeSettings(locale).hyphenation).filter(Boolean);
+  const needed = packages.length > 0 ? ['hypher', ...packages] : [];
+  return [...new Set(needed)].filter(name => !canLoad(name));
+}
+
+// Offsets inside a word where CJK text may break: next to a CJK character, unless kinsoku forbids it
+function characterBreakOffsets(text) {
+  const characters = [...text];
+  const offsets = [];
+  let offset = 0;
+
+  characters.forEach((character, index) => {
+    offset += character.length;
+    const next = characters[index + 1];
+    if (next === undefined) return;
+    if (!CJK_CHARACTER.test(character) && !CJK_CHARACTER.test(next)) return;
+    if (NO_LINE_START.has(next) || NO_LINE_END.has(character)) return;
+    offsets.push(offset);
+  });
+
+  return offsets;
+}
+
+// Offsets inside a word at its hyphenation points
+function hyphenationOffsets(text, hyphenator) {
+  const letters = text.replace(/[^\p{L}]/gu, '');
+  if (!hyphenator || letters.length < MIN_HYPHENATED_WORD || /\d/.test(text)) return [];
+
+  const offsets = [];
+  hyphenator.hyphenate(text).slice(0, -1).reduce((offset, syllable) => {
+    offsets.push(offset + syllable.length);
+    return offset + syllable.length;
+  }, 0);
+  return offsets;
+}
+
+// Split a word's segments at character offsets, keeping each fragment's emphasis
+function splitSegmentsAt(segments, offsets) {
+  const fragments = [];
+  let current = [];
+  let position = 0;
+  let nextOffset = 0;
+
+  segments.forEach(({ text, emphasis }) => {
+    let start = 0;
+    while (nextOffset < offsets.length && offsets[nextOffset] < position + text.length) {
+      const cut = offsets[nextOffset] - position;
+      if (cut > start) current.push({ text: text.slice(start, cut), emphasis });
+      fragments.push(current);
+      current = [];
+      start = cut;
+      nextOffset++;
+    }
+    if (start < text.length) current.push({ text: text.slice(start), emphasis });
+    position += text.length;
+  });
+
+  fragments.push(current);
+  return fragments.filter(fragment => fragment.length > 0);
+}
+
+// 🧩 Words → pieces { segments, space, hyphen, wordStart }
+// CJK words split between characters (each one counts as a word); others at hyphenation points
+function toPieces(words, { hyphenator = null, characterBreaking = false } = {}) {
+  return words.flatMap(word => {
+    const text = word.map(segment => segment.text).join('');
+    const offsets = characterBreaking ? characterBreakOffsets(text) : hyphenationOffsets(text, hyphenator);
+
+    return splitSegmentsAt(word, offsets).map((segments, index, fragments) => {
+      const fragmentText = segments.map(segment => segment.text).join('');
+      return {
+        segments,
+        space: index === 0,
+        // A break after a fragment adds a hyphen unless it already ends in one
+        hyphen: !characterBreaking && index < fragments.length - 1 && !/[-‐–]$/.test(fragmentText),
+        wordStart: index === 0 || characterBreaking
+      };
+    });
+  });
+}
+
+// Pieces [start, end) as one line of segments, with a trailing hyphen when broken mid-word
+function lineFromPieces(pieces, start, end) {
+  const segments = [];
+  for (let k = start; k < end; k++) {
+    const piece = pieces[k];
+    if (k > start && piece.space) {
+      const before = segments[segments.length - 1].emphasis;
+      segments.push({ text: ' ', emphasis: before === piece.segments[0].emphasis ? before : null });
+    }
+    segments.push(...piece.segments);
+  }
+
+  const last = pieces[end - 1];
+  if (last.hyphen) {
+    segments.push({ text: '-', emphasis: last.segments[last.segments.length - 1].emphasis });
+  }
+  return mergeSegments(segments);
+}
+
+// Every piece boundary is a break opportunity: a space or a hyphenation point
+function greedyBreaks(pieces, maxWidth, measure) {
+  const breaks = [];
+  let start = 0;
+
+  while (start < pieces.length) {
+    let end = start + 1;
+    while (end < pieces.length && measure(lineFromPieces(pieces, start, end + 1)) <= maxWidth) end++;
+    breaks.push(end);
+    start = end;
+  }
+
+  return breaks;
+}
+
+function wordCount(pieces, start, end) {
+  return pieces.slice(start, end).filter(piece => piece.wordStart).length;
+}
+
+// ⚖️ Breaks for exactly lineCount lines minimizing squared slack plus penalties
+function balancedBreaks(pieces, maxWidth, measure, lineCount) {
+  const n = pieces.length;
+  const cost = Array.from({ length: lineCount + 1 }, () => new Array(n + 1).fill(Infinity));
+  const from = Array.from({ length: lineCount + 1 }, () => new Array(n + 1).fill(-1));
+  cost[0][0] = 0;
+
+  // Line widths don't depend on the line's position, so each is measured once
+  const widths = new Map();
+  const widthOf = (start, end) => {
+    const key = start * (n + 1) + end;
+    if (!widths.has(key)) widths.set(key, measure(lineFromPieces(pieces, start, end)));
+    return widths.get(key);
+  };
+
+  const lineCost = (start, end, lineIndex) => {
+    const width = widthOf(start, end);
+    const words = wordCount(pieces, start, end);
+    let penalty = 0;
+
+    if (width > maxWidth) {
+      if (end - start > 1) return Infinity;
+      penalty += PENALTIES.overfull;
+    }
+    if (pieces[end - 1].hyphen) penalty += PENALTIES.hyphen;
+    if (lineCount > 1 && words <= 1 && lineIndex === lineCount - 1) penalty += PENALTIES.widow;
+    if (lineCount > 1 && words <= 1 && lineIndex === 0) penalty += PENALTIES.orphan;
+
+    const slack = Math.max(0, maxWidth - width) / maxWidth;
+    return slack * slack * 100 + penalty;
+  };
+
+  for (let line = 0; line < lineCount; line++) {
+    for (let start = 0; start < n; start++) {
+      if (cost[line][start] === Infinity) continue;
+      for (let end = start + 1; end <= n; end++) {
+        const total = cost[line][start] + lineCost(start, end, line);
+        if (total === Infinity) break; // Longer lines from this start only get wider
+        if (total < cost[line + 1][end]) {
+          cost[line + 1][end] = total;
+          from[line + 1][end] = start;
+        }
+      }
+    }
+  }
+
+  if (cost[lineCount][n] === Infinity) return null;
+
+  const breaks = [];
+  for (let line = lineCount, end = n; line > 0; end = from[line][end], line--) {
+    breaks.unshift(end);
+  }
+  return breaks;
+}
+
+/**
+ * Break styled text into lines no wider than maxWidth
+ * A word wider than maxWidth gets a line of its own
+ *
+ * @param {Array} segments - { text, emphasis } segments from parseEmphasis()
+ * @param {number} maxWidth - Maximum width in viewBox units
+ * @param {Function} measure - Line segments → rendered width, from createSegmentMeasurer()
+ * @param {Object} [options]
+ * @param {boolean} [options.balance] - Even out line lengths and avoid widows/orphans
+ * @param {boolean} [options.hyphenate] - Hyphenate with the locale's patterns
+ * @param {string} [options.locale] - Locale of the text; CJK locales break between characters
+ * @returns {Array} Array of lines, each an array of segments
+ */
+function breakLines(segments, maxWidth, measure, { balance = false, hyphenate = false, locale = DEFAULT_LOCALE } = {}) {
+  const pieces = toPieces(splitWords(segments), {
+    hyphenator: hyphenate ? hyphenatorFor(locale) : null,
+    characterBreaking: localeSettings(locale).breaking === 'characters'
+  });
+  if (pieces.length === 0) return [];
+
+  let breaks = greedyBreaks(pieces, maxWidth, measure);
+  if (balance && breaks.length > 1) {
+    breaks = balancedBreaks(pieces, maxWidth, measure, breaks.length) || breaks;
+  }
+
+  return breaks.map((end, index) => lineFromPieces(pieces, index === 0 ? 0 : breaks[index - 1], end));
+}
+
+module.exports = {
+  smartenPunctuation,
+  hyphenatorFor,
+  missingHyphenation,
+  breakLines
+};
@@ -1,5 +1,9 @@
 const fs = require("fs");
-const yaml = require("yaml");
+const { stripEmphasis } = require("./emphasis");
+const { DEFAULT_LOCALE } = require("./locales");
+const { checkEntries, lintQuote, lintCorpus } = require("./quote-lint");
+const { readQuoteSource } = require("./quote-sources");
+const { attributionOf } = require("./attribution");
 
 // 🧮 UTILITY FUNCTIONS
 const phi = 1.618034;
@@ -13,29 +17,96 @@ function hashString(str) {
   return Math.abs(hash);
 }
 
-function parseQuotes(filePaths) {
+// 🎲 Seed for a quote's generative art - a fixed art direction seed, else its id, so
+// edits to the text keep the art; translations share their original's id and with it the seed
+function quoteSeed(quote, salt = "") {
+  if (quote.art && quote.art.seed !== undefined) return hashString(`seed:${quote.art.seed}${salt}`);
+  if (quote.id !== undefined) return hashString(`id:${quote.id}${salt}`);
+  return hashString((quote.original ? quote.original.text : quote.text) + salt);
+}
+
+// 🔤 Letters that Unicode decomposition alone does not reduce to ASCII
+const TRANSLITERATIONS = {
+  "ß": "ss", "æ": "ae", "Æ": "AE", "œ": "oe", "Œ": "OE", "ø": "o", "Ø": "O",
+  "ł": "l", "Ł": "L", "đ": "d", "Đ": "D", "þ": "th", "Þ": "TH", "ð": "d", "Ð": "D",
+  "’": "'", "‘": "'", "“": '"', "”": '"', "–": "-", "—": "-"
+};
+
+// Cyrillic and Greek, lower case - capitals are added below. Scripts without a
+// table (CJK, Arabic, Hebrew) slugify to nothing; give those quotes an `id`
+const SCRIPT_TRANSLITERATIONS = {
+  "а": "a", "б": "b", "в": "v", "г": "g", "ґ": "g", "д": "d", "е": "e", "ё": "yo", "є": "ye",
+  "ж": "zh", "з": "z", "и": "i", "і": "i", "ї": "yi", "й": "y", "к": "k", "л": "l", "м": "m",
+  "н": "n", "о": "o", "п": "p", "р": "r", "с": "s", "т": "t", "у": "u", "ф": "f", "х": "kh",
+  "ц": "ts", "ч": "ch", "ш": "sh", "щ": "shch", "ъ": "", "ы": "y", "ь": "", "э": "e", "ю": "yu", "я": "ya",
+  "α": "a", "β": "v", "γ": "g", "δ": "d", "ε": "e", "ζ": "z", "η": "i", "θ": "th", "ι": "i",
+  "κ": "k", "λ": "l", "μ": "m", "ν": "n", "ξ": "x", "ο": "o", "π": "p", "ρ": "r", "σ": "s",
+  "ς": "s", "τ": "t", "υ": "y", "φ": "f", "χ": "ch", "ψ": "ps", "ω": "o"
+};
+Object.entries(SCRIPT_TRANSLITERATIONS).forEach(([char, latin]) => {
+  TRANSLITERATIONS[char] = latin;
+  TRANSLITERATIONS[char.toUpperCase()] = latin.charAt(0).toUpperCase() + latin.slice(1);
+});
+
+function transliterate(str) {
+  return str
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\u0000-\u007f]/g, char => TRANSLITERATIONS[char] || char);
+}
+
+// "Être ou ne pas être" → "etre-ou-ne-pas-etre", "Свобода" → "svoboda"
+function slugify(str, maxLength = 30) {
+  return transliterate(str)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .slice(0, maxLength)
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Parse and validate quote sources (see lib/quote-sources.js for formats, lib/quote-lint.js for rules)
+ * A source's locale comes from its config entry, then the file's own `locale:` key, then English
+ * Quotes with errors are left out; warnings don't affect the result
+ *
+ * @param {Array} sources - Paths or { path, locale, format } entries ("-" is stdin); missing files are skipped
+ * @param {Object} [options] - Passed to checkEntries(), e.g. validateArt
+ * @returns {Object} { quotes, issues } - issues carry file and line numbers
+ */
+function parseQuotes(sources, options = {}) {
   const allQuotes = [];
+  const issues = [];
   
-  filePaths.forEach(filePath => {
-    if (fs.existsSync(filePath)) {
-      const content = fs.readFileSync(filePath, "utf8");
-      const data = yaml.parse(content);
-      
-      const quotes = data.quotes.flatMap(section => 
-        section.items.map(quote => ({
-          title: quote.title,
-          text: quote.text,
-          category: section.category,
-          slug: quote.text.toLowerCase().replace(/[^a-z0-9]+/g, "-").slice(0, 30),
-          source: filePath
-        }))
-      );
+  sources.forEach(entry => {
+    const source = readQuoteSource(entry);
+    if (source) {
+      const { entries, issues: entryIssues } = checkEntries(source.entries, source.file, options);
+      const sourceLocale = source.locale || DEFAULT_LOCALE;
+      issues.push(...source.issues, ...entryIssues);
       
-      allQuotes.push(...quotes);
+      entries.forEach(({ category, categoryArt, item, line }) => {
+        const quote = {
+          id: item.id === undefined ? undefined : String(item.id),
+          title: item.title,
+          text: stripEmphasis(item.text),
+          markup: item.text,
+          category,
+          attribution: attributionOf(item),
+          art: { ...categoryArt, ...item.art },
+          slug: slugify(stripEmphasis(item.text)),
+          locale: sourceLocale,
+          source: source.file,
+          line
+        };
+        const quoteIssues = lintQuote(quote);
+        issues.push(...quoteIssues);
+        if (!quoteIssues.some(issue => issue.severity === "error")) allQuotes.push(quote);
+      });
     }
   });
   
-  return allQuotes;
+  issues.push(...lintCorpus(allQuotes));
+  return { quotes: allQuotes, issues };
 }
 
-module.exports = { phi, tau, hashString, parseQuotes };
\ No newline at end of file
+module.exports = { phi, tau, hashString, quoteSeed, transliterate, slugify, parseQuotes };
\ No newline at end of file
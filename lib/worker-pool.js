@@ -0,0 +1,79 @@
+const os = require('os');
+const { Worker } = require('worker_threads');
+
+// 🧵 WORKER POOL - fixed set of worker_threads fed from a FIFO queue
+class WorkerPool {
+  constructor(workerFile, size, workerData = {}) {
+    this.queue = [];
+    this.idle = [];
+    this.workers = [];
+
+    for (let i = 0; i < size; i++) {
+      const worker = new Worker(workerFile, { workerData: { ...workerData, workerId: i } });
+      worker.on('message', result => this.settle(worker, result));
+      worker.on('error', error => this.fail(worker, error));
+      this.workers.push(worker);
+      this.idle.push(worker);
+    }
+  }
+
+  get size() {
+    return this.workers.length;
+  }
+
+  // Queue a task; resolves with whatever the worker posts back
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      const worker = this.idle.shift();
+      worker.currentJob = this.queue.shift();
+      worker.postMessage(worker.currentJob.task);
+    }
+  }
+
+  settle(worker, result) {
+    const job = worker.currentJob;
+    worker.currentJob = null;
+    this.idle.push(worker);
+    if (job) job.resolve(result);
+    this.dispatch();
+  }
+
+  // A worker that throws is gone - reject its task, and the queue if none are left
+  fail(worker, error) {
+    const job = worker.currentJob;
+    this.workers = this.workers.filter(w => w !== worker);
+    this.idle = this.idle.filter(w => w !== worker);
+    if (job) job.reject(error);
+
+    if (this.workers.length === 0) {
+      this.queue.splice(0).forEach(queued => queued.reject(error));
+    }
+  }
+
+  async destroy() {
+    await Promise.all(this.workers.map(worker => worker.terminate()));
+    this.workers = [];
+    this.idle = [];
+  }
+}
+
+function defaultConcurrency() {
+  return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+}
+
+// 📦 Run tasks in batches of batchSize so at most one batch of results is in flight
+async function runInBatches(tasks, batchSize, runTask, onResult) {
+  for (let start = 0; start < tasks.length; start += batchSize) {
+    const batch = tasks.slice(start, start + batchSize);
+    await Promise.all(batch.map(task => runTask(task).then(result => onResult(task, result))));
+  }
+}
+
+module.exports = { WorkerPool, defaultConcurrency, runInBatches };